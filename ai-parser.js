@@ -4,8 +4,8 @@
  */
 
 class AIDocumentParser extends DocumentParser {
-    constructor() {
-        super();
+    constructor(options = {}) {
+        super(options);
         this.groqAvailable = false;
         this.apiEndpoint = window.location.origin + '/api/parse-with-ai';
         this.urlFetcher = new URLDocumentFetcher(); // Initialize URL fetcher
@@ -37,10 +37,26 @@ class AIDocumentParser extends DocumentParser {
             throw new Error(`Unsupported file format. Supported: ${this.supportedFormats.join(', ')}`);
         }
 
+        this.assets = [];
+        this.serverResult = null;
         const content = await this.extractTextContent(file);
+
+        // The request that converted a DOCX on the server parsed it with AI (or the rule-based fallback)
+        // already; its HTML is not sent through the AI a second time
+        if (this.serverResult) {
+            return {
+                ...this.readServerResult(this.serverResult, content, file.name),
+                // Images the server extracted from the DOCX, referenced as images/<name> in the HTML
+                assets: this.assets,
+                fileName: file.name,
+                fileSize: file.size,
+                parseMethod: this.serverResult.source === 'ai' ? 'ai' : 'fallback',
+                warning: this.serverResult.warning
+            };
+        }
         
-        // Try AI parsing first if available
-        if (this.groqAvailable) {
+        // Try AI parsing first if available (a DOCX the server couldn't read goes to the DocxReader below)
+        if (this.groqAvailable && this.getFileExtension(file.name) !== '.docx') {
             try {
                 const aiResult = await this.parseWithAI(content, file.name);
                 return {
@@ -67,17 +83,20 @@ class AIDocumentParser extends DocumentParser {
      * Parse content using AI
      * @param {string} content 
      * @param {string} fileName 
+     * @param {string} format - 'text'|'markdown'|'html', what the server's fallback parses the content as
      * @returns {Promise<Object>}
      */
-    async parseWithAI(content, fileName = 'document') {
+    async parseWithAI(content, fileName = 'document', format = this.getContentTypeFromFileName(fileName)) {
+        // Front matter is metadata for the converter, not content for the model
+        const frontMatter = this.frontMatterParser.extract(content);
         const response = await fetch(this.apiEndpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                content: content,
-                type: this.getContentTypeFromFileName(fileName),
+                content: frontMatter.content,
+                type: format,
                 options: {
                     includeTableOfContents: false,  // Only if explicitly mentioned
                     includeKeyTakeaways: false,     // Only if explicitly mentioned
@@ -97,10 +116,27 @@ class AIDocumentParser extends DocumentParser {
             throw new Error(result.error || 'AI parsing failed');
         }
 
+        return this.readServerResult(result, content, fileName, frontMatter);
+    }
+
+    /**
+     * Editor result from a /api/parse-with-ai response
+     * @param {Object} result - Response body: { data: { html, structure, metadata }, source }
+     * @param {string} content - Content that was sent (or the server's conversion of an upload)
+     * @param {string} fileName 
+     * @param {Object} frontMatter - From FrontMatterParser.extract(content)
+     * @returns {Object}
+     */
+    readServerResult(result, content, fileName, frontMatter = { content: content, data: {} }) {
+        // Whatever the endpoint returns goes into the editor and preview, so only allowed markup is kept
+        const html = this.sanitizer.sanitize(result.data.html);
+
         return {
             type: 'ai-enhanced',
             originalContent: content,
-            html: result.data.html,
+            html: html,
+            ...this.describeHTML(html, frontMatter.content, frontMatter.data),
+            frontMatter: frontMatter.data,
             structure: result.data.structure,
             metadata: {
                 ...result.data.metadata,
@@ -125,11 +161,15 @@ class AIDocumentParser extends DocumentParser {
             
             // First fetch the document
             const fetchedDoc = await this.urlFetcher.fetchDocument(url);
+            const content = fetchedDoc.content;
+            const fallbackResult = this.parse(content, { format: fetchedDoc.type });
             
-            // Then parse with AI
+            // Then parse with AI (exported HTML is sent as clean Space-O markup, not the raw export)
             if (this.groqAvailable) {
                 try {
-                    const aiResult = await this.parseWithAI(fetchedDoc.content, fetchedDoc.title);
+                    const aiContent = fetchedDoc.type === 'html' ? fallbackResult.html : content;
+                    // The title says nothing about the format, so the fetched type is sent along
+                    const aiResult = await this.parseWithAI(aiContent, fetchedDoc.title, fetchedDoc.type);
                     return {
                         ...aiResult,
                         sourceUrl: url,
@@ -141,14 +181,16 @@ class AIDocumentParser extends DocumentParser {
             }
 
             // Fallback parsing
-            const content = fetchedDoc.content;
-            const fallbackResult = this.analyzeTextStructure(content);
-            
             return {
                 type: 'url-fallback',
                 originalContent: content,
-                html: this.convertTextToHTML(content),
-                structure: fallbackResult,
+                html: fallbackResult.html,
+                head: fallbackResult.head,
+                article: fallbackResult.metadata.article,
+                frontMatter: fallbackResult.frontMatter,
+                structure: fallbackResult.structure,
+                warnings: fallbackResult.metadata.warnings,
+                cleanup: fallbackResult.metadata.cleanup,
                 sourceUrl: url,
                 fileName: fetchedDoc.title || 'URL Document',
                 parseMethod: 'fallback'
@@ -218,6 +260,8 @@ class AIDocumentParser extends DocumentParser {
             
             if (response.ok) {
                 const result = await response.json();
+                this.serverResult = result;
+                this.assets = result.data.assets || [];
                 return result.data.originalContent || result.data.html;
             }
         } catch (error) {
@@ -256,7 +300,7 @@ class AIDocumentParser extends DocumentParser {
      * @returns {number}
      */
     countWords(content) {
-        return content.trim().split(/\s+/).length;
+        return this.metadataBuilder.countWords(content);
     }
 
     /**
@@ -265,8 +309,7 @@ class AIDocumentParser extends DocumentParser {
      * @returns {number}
      */
     estimateReadingTime(content) {
-        const words = this.countWords(content);
-        return Math.ceil(words / 200);
+        return this.metadataBuilder.estimateReadingTime(content);
     }
 
     /**
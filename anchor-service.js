@@ -0,0 +1,133 @@
+/**
+ * Anchor Service for Space-O Technologies Blog Format
+ * Builds heading anchors: readable slugs for any language, unique within a document and stable between conversions
+ */
+
+class AnchorService {
+    /**
+     * @param {Object} options - { maxLength, fallback }
+     */
+    constructor(options = {}) {
+        this.maxLength = options.maxLength || 50;
+        // Used when nothing readable is left (e.g. a heading made of emoji)
+        this.fallback = options.fallback || 'section';
+        // The FAQ template always renders its own H2 with this id
+        this.faqHeadingId = 'frequently-asked-questions';
+
+        // Letters that don't decompose into ASCII plus an accent
+        this.transliterations = {
+            'ß': 'ss', 'æ': 'ae', 'œ': 'oe', 'ø': 'o', 'đ': 'd', 'ð': 'd', 'þ': 'th', 'ł': 'l', 'ı': 'i', 'ħ': 'h', 'ŋ': 'n',
+            // Cyrillic (Russian, Ukrainian)
+            'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'ґ': 'g', 'д': 'd', 'е': 'e', 'є': 'ye', 'ж': 'zh', 'з': 'z',
+            'и': 'i', 'і': 'i', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o', 'п': 'p', 'р': 'r', 'с': 's',
+            'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts', 'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '',
+            'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu', 'я': 'ya',
+            // Greek
+            'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th', 'ι': 'i', 'κ': 'k',
+            'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p', 'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't',
+            'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps', 'ω': 'o'
+        };
+    }
+
+    /**
+     * Turn heading text into an anchor slug
+     * Accents are dropped, Cyrillic and Greek are transliterated, other scripts are kept as they are
+     * @param {string} text - Plain text or inline HTML
+     * @returns {string}
+     */
+    slugify(text) {
+        const plain = String(text || '')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(nbsp|amp|lt|gt|quot|#\d+|#39);/gi, ' ')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+
+        const slug = Array.from(plain)
+            .map(char => this.transliterations[char] !== undefined ? this.transliterations[char] : char)
+            .join('')
+            .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+            .replace(/[\s_-]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+
+        return this.truncate(slug) || this.fallback;
+    }
+
+    /**
+     * Cut a slug to maxLength, preferably at a word boundary, never leaving a trailing hyphen
+     * @param {string} slug
+     * @returns {string}
+     */
+    truncate(slug) {
+        const chars = Array.from(slug);
+        if (chars.length <= this.maxLength) return slug;
+
+        let cut = chars.slice(0, this.maxLength).join('');
+        const boundary = cut.lastIndexOf('-');
+        // Keep the whole last word unless that would throw away more than half the slug
+        if (chars[this.maxLength] !== '-' && boundary > this.maxLength / 2) {
+            cut = cut.substring(0, boundary);
+        }
+        return cut.replace(/-+$/, '');
+    }
+
+    /**
+     * Whether an id already is a slug this service would produce (authored ids worth keeping)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    isSlug(id) {
+        return Boolean(id) && this.slugify(id) === id;
+    }
+
+    /**
+     * Reserve an id, adding -2, -3, ... when it is already taken
+     * @param {string} base
+     * @param {Set<string>} used - Ids taken so far in the document
+     * @returns {string}
+     */
+    unique(base, used) {
+        let id = base;
+        for (let suffix = 2; used.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        used.add(id);
+        return id;
+    }
+
+    /**
+     * Give every heading and FAQ question in a document a unique id, in document order
+     * Ids depend only on the text and order of the headings, so converting the same content again gives the same anchors
+     * @param {Object} document - Document node from DocumentModel.document()
+     * @returns {Object} The same document
+     */
+    assignIds(document) {
+        const used = new Set();
+        const nodes = [];
+        let hasFAQ = false;
+
+        const visit = blocks => blocks.forEach(block => {
+            if (block.type === 'heading' || (block.type === 'faq-item' && block.question)) nodes.push(block);
+            if (block.type === 'section' && block.sectionType === 'faq') hasFAQ = true;
+            if (block.type === 'list') {
+                block.items.forEach(item => visit(item.children));
+            } else if (block.children) {
+                visit(block.children);
+            }
+        });
+        visit(document.blocks);
+
+        if (hasFAQ) used.add(this.faqHeadingId);
+        nodes.forEach(node => {
+            node.id = this.unique(node.id || this.slugify(node.type === 'heading' ? node.text : node.question), used);
+        });
+        return document;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnchorService;
+} else {
+    window.AnchorService = AnchorService;
+}
@@ -1,11 +1,31 @@
 // Vercel Serverless Function for AI-powered document parsing
 const Groq = require('groq-sdk');
+const ContentParser = require('../content-parser');
 
 // Initialize Groq client
 const groq = new Groq({
   apiKey: process.env.GROQ_API_KEY
 });
 
+// Rule-based parser shared with the browser and the Express server; TOC and Key Takeaways
+// placement comes from the environment so the AI prompt and the fallback agree
+const contentParser = new ContentParser({
+  placement: {
+    toc: process.env.TOC_PLACEMENT || 'marker',
+    keyTakeaways: process.env.KEY_TAKEAWAYS_PLACEMENT || 'marker',
+    autoTOC: parseInt(process.env.AUTO_TOC_MIN_H2 || '0', 10)
+  },
+  steps: {
+    schema: process.env.HOWTO_SCHEMA === 'true'
+  },
+  code: {
+    highlight: process.env.HIGHLIGHT_CODE === 'true'
+  },
+  headingDetection: {
+    threshold: parseFloat(process.env.HEADING_THRESHOLD || '0.5')
+  }
+});
+
 export default async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Credentials', true);
@@ -43,7 +63,7 @@ export default async function handler(req, res) {
     
     // Fallback to rule-based parsing
     try {
-      const fallbackContent = parseContentWithRules(req.body.content);
+      const fallbackContent = contentParser.parse(req.body.content, { format: req.body.type });
       res.json({
         success: true,
         data: fallbackContent,
@@ -63,6 +83,8 @@ export default async function handler(req, res) {
  * Parse content using Groq AI with llama-3.1-70b-versatile model
  */
 async function parseContentWithAI(content) {
+  // Embedded images stay out of the prompt and go back into the returned HTML
+  const embedded = contentParser.stashDataURIs(content);
   const prompt = `
 You are a professional content parser specialized in converting documents to HTML with Space-O Technologies blog format.
 
@@ -77,10 +99,13 @@ FORMATTING GUIDELINES:
 - Bold text (in documents or **bold**): Convert to <strong>text</strong>, NOT headings
 - Italic text: Convert to <em>text</em>
 - True headings/section titles: Convert to <h2>, <h3>, <h4> with IDs
+- Author heading markup ("H2: Title", "[H3] Title", "## Title"): always a heading of exactly that level, without the marker
 - Never use <h1> tags (convert to <h2>)
 
 SPECIAL SECTIONS (only if explicitly mentioned):
-1. Table of Contents (if document contains "TABLE OF CONTENTS" or "TOC"):
+1. Table of Contents and Key Takeaways placement:
+   ${contentParser.sectionPlacer.describe()}
+   Table of Contents markup:
    <div class="blog_index_cover">
      <p class="blog_index_toggle_btn fonts-16 w-700">Table Of Contents</p>
      <ol class="blog_index">
@@ -111,7 +136,7 @@ IMPORTANT:
 - Preserve tables, links, and other formatting
 
 Document content:
-${content}
+${embedded.content}
 
 Return only clean, valid HTML. Preserve bold text as <strong> tags within paragraphs, not as headings.`;
 
@@ -133,215 +158,21 @@ Return only clean, valid HTML. Preserve bold text as <strong> tags within paragr
     throw new Error('AI did not return valid content');
   }
 
-  return {
-    html: htmlContent.trim(),
-    structure: analyzeHTMLStructure(htmlContent),
-    metadata: {
-      model: 'llama-3.1-70b-versatile',
-      tokens: completion.usage?.total_tokens || 0,
-      processingTime: Date.now()
-    }
-  };
-}
-
-/**
- * Rule-based parsing fallback
- */
-function parseContentWithRules(content) {
-  let html = '';
-  const lines = content.split('\n').filter(line => line.trim());
-  const structure = {
-    headings: [],
-    paragraphs: [],
-    lists: []
-  };
-
-  let inList = false;
-  let currentListType = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    if (!line) continue;
-
-    // Detect headings
-    if (isHeading(line)) {
-      if (inList) {
-        html += closeList(currentListType);
-        inList = false;
-      }
-      
-      const level = getHeadingLevel(line);
-      const text = cleanHeadingText(line);
-      const id = generateId(text);
-      
-      html += `<h${level} id="${id}">${text}</h${level}>\n`;
-      structure.headings.push({ level, text, id });
-    }
-    
-    // Detect lists
-    else if (isListItem(line)) {
-      const listType = getListType(line);
-      const itemText = cleanListItem(line);
-      
-      if (!inList || currentListType !== listType) {
-        if (inList) html += closeList(currentListType);
-        html += openList(listType);
-        inList = true;
-        currentListType = listType;
-      }
-      
-      html += `  <li>${itemText}</li>\n`;
-    }
-    
-    // Regular paragraphs
-    else {
-      if (inList) {
-        html += closeList(currentListType);
-        inList = false;
-      }
-      // Process rich text formatting in paragraphs
-      const formattedLine = formatRichText(line);
-      html += `<p>${formattedLine}</p>\n`;
-      structure.paragraphs.push({ text: line });
-    }
-  }
-
-  if (inList) {
-    html += closeList(currentListType);
-  }
-
-  // Generate TOC if headings exist
-  if (structure.headings.length > 0) {
-    const toc = generateTableOfContents(structure.headings);
-    html = toc + '\n' + html;
-  }
+  // Sanitized, with the same warnings (e.g. images without alt text) as the Express server
+  const { html, warnings } = contentParser.readAIOutput(embedded.restore(htmlContent));
 
   return {
     html: html,
-    structure: structure,
+    structure: analyzeHTMLStructure(html),
     metadata: {
-      source: 'rule-based',
+      model: 'llama-3.1-70b-versatile',
+      tokens: completion.usage?.total_tokens || 0,
+      warnings: warnings,
       processingTime: Date.now()
     }
   };
 }
 
-// Helper functions
-function isHeading(line) {
-  return line.length > 5 && line === line.toUpperCase() && /^[A-Z\s]+$/.test(line) ||
-         /^\d+\.\s+[A-Z]/.test(line) ||
-         line.endsWith('?') && line.length > 10;
-}
-
-function getHeadingLevel(line) {
-  if (line.match(/^\d+\.\s+/)) return 2;
-  if (line.endsWith('?')) return 3;
-  return 1;
-}
-
-function cleanHeadingText(line) {
-  return line.replace(/^\d+\.\s+/, '').trim();
-}
-
-function isListItem(line) {
-  return /^[-•*]\s+/.test(line) || /^\d+\.\s+/.test(line);
-}
-
-function getListType(line) {
-  return /^\d+\./.test(line) ? 'ordered' : 'unordered';
-}
-
-function cleanListItem(line) {
-  return line.replace(/^[-•*\d+.]\s+/, '').trim();
-}
-
-function openList(type) {
-  const className = type === 'ordered' ? 'listing-bx' : 'bullet-new-box';
-  const tag = type === 'ordered' ? 'ol' : 'ul';
-  return `<${tag} class="${className}">\n`;
-}
-
-function closeList(type) {
-  const tag = type === 'ordered' ? 'ol' : 'ul';
-  return `</${tag}>\n`;
-}
-
-function generateId(text) {
-  return text.toLowerCase()
-    .replace(/[^a-z0-9\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .substring(0, 50);
-}
-
-function generateTableOfContents(headings) {
-  let toc = `<div class="blog_index_cover">
-    <p class="blog_index_toggle_btn fonts-16 w-700">Table Of Contents</p>
-    <ol class="blog_index">`;
-  
-  headings.forEach(heading => {
-    toc += `        <li><a href="#${heading.id}">${heading.text}</a></li>\n`;
-  });
-  
-  toc += `    </ol>
-</div>`;
-  
-  return toc;
-}
-
-/**
- * Format rich text within paragraphs and list items
- */
-function formatRichText(text) {
-  let formatted = text;
-  
-  // Convert bold text patterns (but not if they look like headings)
-  // Only if the bold text is within a longer sentence/paragraph
-  if (formatted.length > 20 && !isLikelyHeading(text)) {
-    // Convert **bold** to <strong>bold</strong>
-    formatted = formatted.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    
-    // Convert __bold__ to <strong>bold</strong>
-    formatted = formatted.replace(/__(.*?)__/g, '<strong>$1</strong>');
-  }
-  
-  // Convert italic text (avoid double asterisks/underscores which are for bold)
-  formatted = formatted.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-  formatted = formatted.replace(/\b_([^_]+)_\b/g, '<em>$1</em>');
-  
-  // Convert basic links if they exist
-  formatted = formatted.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-  
-  return formatted;
-}
-
-/**
- * Check if text looks like a heading (to avoid converting bold headings incorrectly)
- */
-function isLikelyHeading(text) {
-  const cleanText = text.trim();
-  
-  // Short text that's all caps or title case
-  if (cleanText.length < 100 && (
-    cleanText === cleanText.toUpperCase() ||
-    /^[A-Z][a-z]+(\s+[A-Z][a-z]+)*[\?:]?$/.test(cleanText)
-  )) {
-    return true;
-  }
-  
-  // Numbered headings
-  if (/^\d+\.\s+[A-Z]/.test(cleanText)) {
-    return true;
-  }
-  
-  // Questions (likely headings in FAQ)
-  if (cleanText.endsWith('?') && cleanText.length < 80) {
-    return true;
-  }
-  
-  return false;
-}
-
 function analyzeHTMLStructure(html) {
   const headingMatches = html.match(/<h[1-6][^>]*>(.*?)<\/h[1-6]>/gi) || [];
   const listMatches = html.match(/<[uo]l[^>]*>[\s\S]*?<\/[uo]l>/gi) || [];
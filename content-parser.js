@@ -0,0 +1,1207 @@
+/**
+ * Content Parser for Space-O Technologies Blog Format
+ * Rule-based text, markdown and HTML conversion shared by the browser, the Express server and the Vercel function
+ */
+
+class ContentParser {
+    /**
+     * @param {Object} options - { headingDetection: { threshold, rules } } tunes text heading detection,
+     *                            { cleanup: { rules: { duplicateFAQ: false } } } turns off HTML cleanup rules,
+     *                            { toc: { maxLevel, numbering } } shapes the table of contents,
+     *                            { placement: { toc, keyTakeaways, autoTOC } } places the TOC and Key Takeaways,
+     *                            { faq: { accordion, schema } } shapes the FAQ section,
+     *                            { steps: { schema } } adds HowTo JSON-LD to STEPS sections,
+     *                            { code: { highlight } } pre-highlights code blocks with Prism,
+     *                            { metadata: { siteName, siteUrl, blogPath, author } } feeds the <head> snippet
+     */
+    constructor(options = {}) {
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.renderer = new (typeof SpaceORenderer !== 'undefined' ? SpaceORenderer : require('./spaceo-renderer'))({ toc: options.toc, faq: options.faq, steps: options.steps, code: options.code });
+        this.tableBuilder = new (typeof TableBuilder !== 'undefined' ? TableBuilder : require('./table-builder'))();
+        this.anchors = new (typeof AnchorService !== 'undefined' ? AnchorService : require('./anchor-service'))();
+        this.sectionPlacer = new (typeof SectionPlacer !== 'undefined' ? SectionPlacer : require('./section-placer'))(options.placement);
+        this.metadataBuilder = new (typeof MetadataBuilder !== 'undefined' ? MetadataBuilder : require('./metadata-builder'))(options.metadata);
+        this.frontMatterParser = new (typeof FrontMatterParser !== 'undefined' ? FrontMatterParser : require('./front-matter-parser'))();
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
+        this.inlineFormatter = new (typeof InlineFormatter !== 'undefined' ? InlineFormatter : require('./inline-formatter'))();
+        this.htmlCleaner = new (typeof HTMLCleaner !== 'undefined' ? HTMLCleaner : require('./html-cleaner'))(options.cleanup);
+        this.htmlImporter = new (typeof HTMLImporter !== 'undefined' ? HTMLImporter : require('./html-importer'))();
+        this.headingDetector = new (typeof HeadingDetector !== 'undefined' ? HeadingDetector : require('./heading-detector'))(options.headingDetection);
+    }
+
+    /**
+     * Convert content to Space-O HTML with its structure and <head> snippet
+     * Front matter (or a METADATA section) is taken out first; it feeds the article metadata and
+     * overrides parser settings (TOC depth, CTA defaults) for this document
+     * @param {string} content 
+     * @param {Object} options - { format: 'text'|'markdown'|'html'|'docx', headingLevels, headingOverrides, tables, images }
+     * @returns {Object} { html, head, structure, frontMatter, metadata } - metadata.article holds title, description, dates, ...
+     */
+    parse(content, options = {}) {
+        const format = options.format || 'text';
+        const frontMatter = this.frontMatterParser.extract(content);
+        const body = frontMatter.content;
+        let document;
+        let structure;
+
+        switch (format) {
+            case 'markdown':
+                structure = this.analyzeMarkdownStructure(body);
+                document = this.parseMarkdownToDocument(body);
+                break;
+            case 'html':
+                structure = this.analyzeHtmlStructure(body);
+                document = this.parseHTMLToDocument(body);
+                break;
+            default:
+                // Plain text and DOCX text share the line-based rules
+                structure = this.analyzeTextStructure(body, options);
+                document = this.parseTextToDocument(body, options);
+        }
+
+        document.metadata.frontMatter = frontMatter.data;
+        document.metadata.settings = this.frontMatterParser.getSettings(frontMatter.data);
+        const html = format === 'markdown' || format === 'html'
+            ? this.renderer.render(document)
+            : this.renderTextDocument(document);
+        const article = this.metadataBuilder.build(document, body);
+
+        return {
+            html: html,
+            head: this.metadataBuilder.renderHead(article),
+            structure: structure,
+            frontMatter: frontMatter.data,
+            metadata: {
+                source: 'rule-based',
+                format: format,
+                article: article,
+                warnings: this.getWarnings(document),
+                cleanup: document.metadata.cleanup || [],
+                processingTime: Date.now()
+            }
+        };
+    }
+
+    /**
+     * Article metadata, <head> snippet and warnings (e.g. images without alt text) for HTML produced
+     * elsewhere (by the AI parser, or the server's DOCX conversion)
+     * @param {string} html 
+     * @param {string} source - Original content (without its front matter)
+     * @param {Object} frontMatter - Data from FrontMatterParser.extract()
+     * @returns {Object} { article, head, warnings }
+     */
+    describeHTML(html, source = '', frontMatter = {}) {
+        const document = this.parseHTMLToDocument(html);
+        document.metadata.frontMatter = frontMatter;
+        const article = this.metadataBuilder.build(document, source);
+        return { article: article, head: this.metadataBuilder.renderHead(article), warnings: this.getWarnings(document) };
+    }
+
+    /**
+     * Swap embedded images (base64 data URIs) for short placeholders so they stay out of the AI prompt;
+     * restore() puts them back into the model's HTML
+     * @param {string} content 
+     * @returns {Object} { content, restore }
+     */
+    stashDataURIs(content) {
+        const uris = [];
+        return {
+            content: content.replace(/data:image\/[\w.+-]+;base64,[A-Za-z0-9+\/=]+/g, uri => `embedded-image-${uris.push(uri) - 1}`),
+            restore: html => html.replace(/embedded-image-(\d+)/g, (placeholder, index) => uris[index] || placeholder)
+        };
+    }
+
+    /**
+     * Model output is untrusted: keep only the blog's elements and attributes, then check it like any other conversion
+     * @param {string} output - HTML returned by the AI model
+     * @returns {Object} { html, warnings }
+     */
+    readAIOutput(output) {
+        const html = this.sanitizer.sanitize(output.trim());
+        return { html: html, warnings: this.describeHTML(html).warnings };
+    }
+
+    /**
+     * Collect conversion warnings (e.g. guessed table layouts, images without alt text) from a document
+     * @param {Object} document 
+     * @returns {Array<string>}
+     */
+    getWarnings(document) {
+        const warnings = [];
+        const checkImage = image => {
+            if (image.alt && image.alt.trim()) return;
+            const name = image.caption || (/^data:/i.test(image.src) ? 'embedded image' : image.src.split(/[?#]/)[0].split('/').pop() || image.src);
+            warnings.push(`Image "${name}" has no alt text, so screen readers and search engines can't describe it.`);
+        };
+        const visit = blocks => blocks.forEach(block => {
+            if (block.warning) warnings.push(block.warning);
+            if (block.type === 'image') checkImage(block);
+            if (block.images) block.images.forEach(checkImage);
+            if (block.type === 'list') {
+                block.items.forEach(item => visit(item.children));
+            } else if (block.children) {
+                visit(block.children);
+            }
+        });
+        visit(document.blocks);
+        return warnings;
+    }
+
+    /**
+     * Parse an HTML string into a DOM document (DOMParser in the browser, jsdom in Node.js)
+     * @param {string} html 
+     * @returns {Document}
+     */
+    createHTMLDocument(html) {
+        if (typeof DOMParser !== 'undefined') {
+            return new DOMParser().parseFromString(html, 'text/html');
+        }
+        const { JSDOM } = require('jsdom');
+        return new JSDOM(html).window.document;
+    }
+
+    /**
+     * Analyze text structure to identify headings, lists, paragraphs
+     * @param {string} content 
+     * @param {Object} options - { headingLevels: Map<lineIndex, level> } replaces heading detection,
+     * { headingOverrides: Map<lineIndex, level> } corrects single lines (0 = not a heading)
+     * @returns {Object}
+     */
+    analyzeTextStructure(content, options = {}) {
+        const lines = this.convertCodeMarkers(content).split('\n');
+        const structure = {
+            headings: [],
+            paragraphs: [],
+            lists: [],
+            tables: [],
+            codeBlocks: [],
+            sections: []
+        };
+
+        let currentSection = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            
+            // Skip empty lines
+            if (!line) continue;
+
+            const codeBlock = this.readCodeBlock(lines, i, false);
+            if (codeBlock) {
+                structure.codeBlocks.push({
+                    language: codeBlock.language,
+                    startLine: i,
+                    endLine: codeBlock.end
+                });
+                i = codeBlock.end;
+                continue;
+            }
+
+            // Detect headings (scored by HeadingDetector unless levels are given)
+            const detection = this.detectHeading(lines, i, options);
+            if (detection) {
+                const heading = {
+                    level: detection.level,
+                    text: this.model.getPlainText(this.inlineFormatter.format(this.cleanHeadingText(line))),
+                    line: i
+                };
+                if (detection.score !== undefined) {
+                    // Score and fired rules let the UI point out borderline headings
+                    heading.score = detection.score;
+                    heading.rules = detection.rules;
+                    heading.borderline = detection.borderline;
+                }
+                structure.headings.push(heading);
+                
+                if (heading.level <= 2) {
+                    currentSection = heading.text;
+                }
+                continue;
+            }
+
+            // Detect lists
+            if (this.isListItem(line)) {
+                const listType = this.getListType(line);
+                const existingList = structure.lists.find(list => 
+                    Math.abs(list.startLine - i) < 5 && list.type === listType
+                );
+                
+                if (existingList) {
+                    existingList.items.push(this.cleanListItem(line));
+                    existingList.endLine = i;
+                } else {
+                    structure.lists.push({
+                        type: listType,
+                        items: [this.cleanListItem(line)],
+                        startLine: i,
+                        endLine: i
+                    });
+                }
+                continue;
+            }
+
+            // Regular paragraph
+            structure.paragraphs.push({
+                text: line,
+                line: i,
+                section: currentSection
+            });
+        }
+
+        return structure;
+    }
+
+    /**
+     * Analyze markdown structure
+     * @param {string} content 
+     * @returns {Object}
+     */
+    analyzeMarkdownStructure(content) {
+        const lines = this.convertCodeMarkers(content).split('\n');
+        const structure = {
+            headings: [],
+            paragraphs: [],
+            lists: [],
+            tables: [],
+            codeBlocks: [],
+            links: [],
+            images: []
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            
+            if (!line) continue;
+
+            // Fenced code (a "# comment" in it is no heading); indented code is left to marked, it also continues list items
+            const codeBlock = this.readCodeBlock(lines, i, true);
+            if (codeBlock) {
+                structure.codeBlocks.push({
+                    language: codeBlock.language,
+                    startLine: i,
+                    endLine: codeBlock.end
+                });
+                i = codeBlock.end;
+            }
+
+            // Markdown headings (convert H1 to H2)
+            else if (line.startsWith('#')) {
+                let level = (line.match(/^#+/) || [''])[0].length;
+                // Convert H1 to H2 (never use H1)
+                if (level === 1) level = 2;
+                
+                structure.headings.push({
+                    level: level,
+                    text: line.replace(/^#+\s*/, ''),
+                    line: i
+                });
+            }
+            
+            // Markdown lists
+            else if (line.match(/^[-*+]\s+/) || line.match(/^\d+\.\s+/)) {
+                const listType = line.match(/^\d+\./) ? 'ordered' : 'unordered';
+                structure.lists.push({
+                    type: listType,
+                    text: line.replace(/^[-*+\d+.]\s+/, ''),
+                    line: i
+                });
+            }
+            
+            // Tables
+            else if (line.includes('|')) {
+                structure.tables.push({
+                    content: line,
+                    line: i
+                });
+            }
+            
+            // Regular paragraph
+            else {
+                structure.paragraphs.push({
+                    text: line,
+                    line: i
+                });
+            }
+        }
+
+        return structure;
+    }
+
+    /**
+     * Convert text content to Space-O formatted HTML with section detection
+     * @param {string} content 
+     * @param {Object} options - { headingLevels: Map<lineIndex, level> } overrides heading detection
+     * @returns {string}
+     */
+    convertTextToHTML(content, options = {}) {
+        return this.renderTextDocument(this.parseTextToDocument(content, options));
+    }
+
+    /**
+     * Render a document parsed from text and remove duplicates
+     * The cleanup report is kept in document.metadata.cleanup
+     * @param {Object} document 
+     * @returns {string}
+     */
+    renderTextDocument(document) {
+        const html = this.renderer.render(document);
+
+        // Clean up any duplicate or unused HTML elements
+        const cleanup = this.cleanupHTML(html);
+        document.metadata.cleanup = cleanup.report;
+
+        return cleanup.html;
+    }
+
+    /**
+     * Parse text content into the document model with section detection
+     * Paragraphs and list items keep the draft text (the renderer escapes and formats it);
+     * the model holds headings, table cells and section lines as HTML, so they go through the InlineFormatter here
+     * @param {string} content 
+     * @param {Object} options - { headingLevels: Map<lineIndex, level>, tables: Map<lineIndex, table>, images: Map<lineIndex, image> } from DocxReader,
+     * { headingOverrides: Map<lineIndex, level> } from the heading review
+     * @returns {Object} Document node
+     */
+    parseTextToDocument(content, options = {}) {
+        const blocks = [];
+        const format = text => this.inlineFormatter.format(text);
+        // Tables are split into cells before formatting, so emphasis never spans a column border
+        const formatCells = rows => rows.map(row => row.map(cell => ({ ...cell, text: format(cell.text) })));
+        const formatTable = table => ({ ...table, head: formatCells(table.head), rows: formatCells(table.rows) });
+
+        // Process content line by line with section detection
+        const lines = this.convertCodeMarkers(content).split('\n');
+        let listStack = []; // open lists, outermost first
+        let currentSection = null;
+        let sectionItems = [];
+
+        const addSection = () => {
+            // A TOC heading alone is enough, its entries come from the document headings
+            if (currentSection && (sectionItems.length > 0 || currentSection === 'toc')) {
+                const tableSection = currentSection === 'table' || currentSection === 'comparison';
+                const block = this.sectionDetector.buildSectionBlock(currentSection, tableSection ? sectionItems : sectionItems.map(format));
+                if (block) blocks.push(block.type === 'table' ? formatTable(block) : block);
+            }
+            sectionItems = [];
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            
+            if (!line) {
+                if (!this.continuesList(lines, i, listStack)) listStack = [];
+                continue;
+            }
+
+            // Code is kept verbatim, so it never becomes headings, list items or table rows ("npm install Express")
+            const codeBlock = this.readCodeBlock(lines, i, listStack.length > 0);
+            if (codeBlock) {
+                addSection();
+                currentSection = null;
+                listStack = [];
+                blocks.push(this.model.code(codeBlock.code, codeBlock.language));
+                i = codeBlock.end;
+                continue;
+            }
+            
+            // DOCX tables keep their header rows and merged cells (the pipe lines are a flattened copy)
+            const docxTable = options.tables && options.tables.get(i);
+            if (docxTable && !currentSection) {
+                listStack = [];
+                blocks.push(this.model.table(formatCells(docxTable.head), formatCells(docxTable.rows)));
+                i += docxTable.head.length + docxTable.rows.length - 1;
+                continue;
+            }
+            
+            // Handle <TABLE> blocks from Google Docs (optionally <TABLE cols=3>)
+            const tableTag = line.match(/<TABLE(\s+(?:cols|COLS)\s*=\s*"?(\d+)"?)?\s*>/);
+            if (tableTag) {
+                // Find the end of the table
+                let tableContent = [];
+                let j = i + 1;
+                
+                while (j < lines.length && !lines[j].includes('<TABLE END>')) {
+                    const tableLine = lines[j].trim();
+                    if (!tableLine.startsWith('<') && !tableLine.endsWith('>')) {
+                        // Google Docs exports tables with tab-separated values or one cell per line
+                        // Keep the original line format (blank lines are empty cells) for proper parsing
+                        tableContent.push(tableLine);
+                    }
+                    j++;
+                }
+                
+                if (tableContent.some(tableLine => tableLine)) {
+                    listStack = [];
+                    const columns = tableTag[2] ? parseInt(tableTag[2], 10) : null;
+                    blocks.push(formatTable(this.tableBuilder.build(tableContent, { columns: columns })));
+                }
+                
+                // Skip processed lines
+                i = j;
+                continue;
+            }
+            
+            // Skip <TABLE END> tags
+            if (line.includes('<TABLE END>') || line.includes('TABLE END')) {
+                continue;
+            }
+
+            // Numbered list steps are not numbered headings ("1. Plan the work"), neither are items of a STEPS section
+            const isStep = currentSection === 'steps' && this.isListItem(line);
+            const detection = isStep || this.belongsToList(lines, i, listStack) ? null : this.detectHeading(lines, i, options);
+            const headingLevel = detection ? detection.level : null;
+
+            // A written-out TOC is list items and link-only lines; like Markdown and HTML input,
+            // anything else ends it (a marker without its end tag included)
+            if (currentSection === 'toc' && (headingLevel || !this.isTOCEntryLine(line))) {
+                addSection();
+                currentSection = null;
+            }
+
+            // Images: DOCX pictures, "IMAGE: url | alt | caption" lines and lines holding only ![alt](src)
+            const docxImage = options.images && options.images.get(i);
+            if (docxImage && currentSection) {
+                // Sections read their lines as text, so the picture goes in as an IMAGE: line with its data URL
+                sectionItems.push(`IMAGE: ${docxImage.src} | ${docxImage.alt} | ${docxImage.caption}`);
+                continue;
+            }
+            const image = currentSection ? null : this.readImageLine(line, docxImage);
+            if (image) {
+                listStack = [];
+                blocks.push(image);
+                continue;
+            }
+
+            // Handle headings and section detection
+            if (headingLevel || this.sectionDetector.isStartTag(line.toUpperCase()) || this.sectionDetector.isEndTag(line.toUpperCase())) {
+                const normalizedLine = line.toUpperCase().trim();
+                
+                // Check for end tags first
+                if (this.sectionDetector.isEndTag(normalizedLine)) {
+                    // Close current section
+                    addSection();
+                    currentSection = null;
+                    continue; // Skip processing this line further
+                }
+                
+                // An explicit H2 starts a new part of the post, so it also ends the open section
+                const explicitH2 = Boolean(detection && detection.explicit && headingLevel === 2);
+                const headingText = headingLevel ? this.model.getPlainText(format(this.cleanHeadingText(line))) : '';
+                // Questions (often Title Case, so detected as headings) stay in the open FAQ;
+                // a new section, an explicit H2 or any other heading closes it
+                const startsSection = this.sectionDetector.isStartTag(normalizedLine) ||
+                    Boolean(headingLevel && this.sectionDetector.detectSectionType(headingText));
+                const endsFAQ = currentSection === 'faq' && Boolean(headingLevel) &&
+                    !headingText.endsWith('?') && !this.sectionDetector.isLikelyQuestion(headingText);
+                if (currentSection !== 'faq' || startsSection || explicitH2 || endsFAQ) {
+                    addSection();
+                }
+                listStack = [];
+                if (explicitH2 || endsFAQ) {
+                    currentSection = null;
+                }
+                
+                // Check if this is a start tag
+                if (this.sectionDetector.isStartTag(normalizedLine)) {
+                    const sectionType = this.sectionDetector.getSectionTypeFromTag(normalizedLine);
+                    if (sectionType) {
+                        currentSection = sectionType;
+                        // Don't add the tag to the document, it's just a marker
+                        continue;
+                    }
+                }
+                
+                // Regular heading processing
+                if (headingLevel) {
+                    const level = headingLevel;
+                    const text = this.cleanHeadingText(line);
+                    const html = format(text);
+                    const plainText = this.model.getPlainText(html);
+                    const heading = this.model.heading(level, html, this.anchors.slugify(plainText));
+                    if (detection.score !== undefined) {
+                        heading.detection = { score: detection.score, rules: detection.rules };
+                    }
+                    
+                    // Check if this is a special section (non-tag format)
+                    const sectionType = this.sectionDetector.detectSectionType(plainText);
+                    
+                    if (sectionType && !this.sectionDetector.isStartTag(normalizedLine)) {
+                        currentSection = sectionType;
+                        // Don't add section headers like "FAQ" or "TABLE OF CONTENTS" to the content
+                        // They are just markers for section processing
+                        if (sectionType !== 'toc' && sectionType !== 'faq') {
+                            blocks.push(heading);
+                        }
+                    } else if (!currentSection) {
+                        blocks.push(heading);
+                    }
+                    // If we're in a section but it's a regular heading, add to content
+                    else if (currentSection && currentSection !== 'ignore' && currentSection !== 'faq') {
+                        blocks.push(heading);
+                    }
+                    // FAQ questions are collected for section processing
+                    else if (currentSection === 'faq') {
+                        sectionItems.push(text);
+                    }
+                }
+            }
+            
+            // Handle table rows (lines with | or multiple columns)
+            else if (this.isTableRow(line)) {
+                if (currentSection) {
+                    // Store table row for section processing
+                    sectionItems.push(line);
+                } else {
+                    // Auto-detect table and process it
+                    listStack = [];
+                    
+                    // Check if we're starting a new table
+                    const tableRows = this.collectTableRows(lines, i);
+                    if (tableRows.length > 1) {
+                        blocks.push(formatTable(this.tableBuilder.build(tableRows)));
+                        // Skip the processed rows
+                        i += tableRows.length - 1;
+                    } else {
+                        // Single row, treat as paragraph
+                        blocks.push(this.model.paragraph(line));
+                    }
+                }
+            }
+            
+            // Handle list items
+            else if (this.isListItem(line)) {
+                const itemText = this.cleanListItem(line);
+                
+                if (currentSection) {
+                    // Store items for section processing (FAQ answers keep the marker to stay lists, steps keep the indent of sub-steps)
+                    if (currentSection === 'steps') {
+                        sectionItems.push(lines[i].replace(/\s+$/, ''));
+                    } else {
+                        sectionItems.push(currentSection === 'faq' ? line.trim() : itemText);
+                    }
+                } else {
+                    // Regular list processing; indentation (or the DOCX numbering level) nests items
+                    const ordered = this.getListType(line) === 'ordered';
+                    this.addListItem(listStack, blocks, this.getIndent(lines[i]), ordered, this.model.listItem(itemText));
+                }
+            }
+            
+            // Handle regular paragraphs
+            else {
+                if (currentSection) {
+                    // Store content for section processing
+                    sectionItems.push(line);
+                } else {
+                    listStack = [];
+                    blocks.push(this.model.paragraph(line));
+                }
+            }
+        }
+
+        // Process final section if any
+        addSection();
+
+        return this.finishDocument(this.model.document(this.tableBuilder.attachCaptions(blocks)));
+    }
+
+    /**
+     * Image block of a text line
+     * @param {string} line
+     * @param {Object} [docxImage] - Picture DocxReader put on this line
+     * @returns {Object|null}
+     */
+    readImageLine(line, docxImage) {
+        if (docxImage) {
+            return this.model.image(docxImage.src, docxImage.alt, docxImage.caption, docxImage);
+        }
+
+        const marker = this.sectionDetector.parseImageMarker(line);
+        if (marker) return marker;
+
+        const nodes = this.inlineFormatter.parse(line);
+        if (nodes.length === 1 && nodes[0].type === 'image') {
+            return this.model.image(nodes[0].url, nodes[0].alt, nodes[0].title);
+        }
+        return null;
+    }
+
+    /**
+     * Turn <CODE lang=js> ... <CODE END> (or </CODE>) sections into fenced code blocks, line for line
+     * so DOCX line maps still apply; the fence is longer than any backtick run in the code
+     * @param {string} content
+     * @returns {string}
+     */
+    convertCodeMarkers(content) {
+        const lines = content.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const start = lines[i].trim().match(/^<CODE(?:\s+(?:lang|LANG)\s*=\s*["']?([\w+#.-]+)["']?)?\s*>$/);
+            if (!start) continue;
+
+            const end = lines.findIndex((line, index) => index > i && /^(<CODE END>|<\/CODE>)$/.test(line.trim()));
+            if (end === -1) continue;
+
+            const runs = lines.slice(i + 1, end).join('\n').match(/`+/g) || [];
+            const fence = '`'.repeat(Math.max(3, ...runs.map(run => run.length + 1)));
+            lines[i] = fence + (start[1] || '');
+            lines[end] = fence;
+            i = end;
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Code block starting at a line: a ``` or ~~~ fence (an unclosed fence runs to the end), or lines
+     * indented by four spaces or a tab after a blank line, outside lists
+     * @param {Array<string>} lines
+     * @param {number} index
+     * @param {boolean} inList - Indented lines continue an open list instead
+     * @returns {Object|null} { code, language, end } - end is the index of the block's last line
+     */
+    readCodeBlock(lines, index, inList) {
+        const line = lines[index];
+        const fence = line.match(/^( {0,3})(`{3,}(?=[^`]*$)|~{3,})(.*)$/);
+        if (fence) {
+            const close = new RegExp(`^ {0,3}${fence[2][0]}{${fence[2].length},}\\s*$`);
+            let end = index + 1;
+            while (end < lines.length && !close.test(lines[end])) end++;
+
+            // Code lines lose as much indentation as the opening fence had
+            const indent = new RegExp(`^ {0,${fence[1].length}}`);
+            return {
+                code: lines.slice(index + 1, end).map(codeLine => codeLine.replace(indent, '')).join('\n'),
+                language: fence[3].trim().split(/\s+/)[0],
+                end: Math.min(end, lines.length - 1)
+            };
+        }
+
+        const indented = /^( {4}|\t)/;
+        const previous = lines[index - 1];
+        if (inList || !indented.test(line) || this.isListItem(line.trim()) || (previous && previous.trim())) return null;
+
+        // Blank lines inside the block belong to it, trailing ones don't
+        let end = index;
+        for (let next = index + 1; next < lines.length; next++) {
+            if (!lines[next].trim()) continue;
+            if (!indented.test(lines[next])) break;
+            end = next;
+        }
+
+        return {
+            code: lines.slice(index, end + 1).map(codeLine => codeLine.trim() ? codeLine.replace(indented, '') : '').join('\n'),
+            language: '',
+            end: end
+        };
+    }
+
+    /**
+     * Convert markdown to HTML with Space-O styling
+     * @param {string} content 
+     * @returns {string}
+     */
+    convertMarkdownToHTML(content) {
+        return this.renderer.render(this.parseMarkdownToDocument(content));
+    }
+
+    /**
+     * Parse markdown (CommonMark + GFM) into the document model
+     * Section headings and <TAG> markers are handled like in text drafts
+     * @param {string} content 
+     * @returns {Object} Document node
+     */
+    parseMarkdownToDocument(content) {
+        const markdown = typeof marked !== 'undefined' ? marked : require('marked');
+        const blocks = markdown.lexer(this.convertCodeMarkers(content), { gfm: true })
+            .flatMap(token => this.markdownTokenToBlocks(token, markdown));
+
+        return this.finishDocument(this.model.document(this.sectionDetector.groupSections(this.tableBuilder.attachCaptions(blocks))));
+    }
+
+    /**
+     * Convert a markdown block token to document model blocks
+     * @param {Object} token - Token from marked.lexer()
+     * @param {Object} markdown - The marked library
+     * @returns {Array<Object>}
+     */
+    markdownTokenToBlocks(token, markdown) {
+        switch (token.type) {
+            case 'heading': {
+                // Never H1, and the blog stops at H4
+                const level = Math.min(Math.max(token.depth, 2), 4);
+                const text = this.renderMarkdownInline(token, markdown);
+                return [this.model.heading(level, text, this.anchors.slugify(this.model.getPlainText(text)))];
+            }
+            case 'paragraph':
+            case 'text': {
+                const inlineTokens = (token.tokens || []).filter(child => !(child.type === 'text' && !child.text.trim()));
+                // A paragraph holding only an image is a standalone image
+                if (inlineTokens.length === 1 && inlineTokens[0].type === 'image') {
+                    const image = inlineTokens[0];
+                    return [this.model.image(image.href, image.text, image.title || '')];
+                }
+                return [this.model.paragraph(this.renderMarkdownInline(token, markdown), true)];
+            }
+            case 'list':
+                return [this.markdownListToBlock(token, markdown)];
+            case 'table':
+                return [this.model.table(
+                    [token.header.map(cell => this.renderMarkdownInline(cell, markdown))],
+                    token.rows.map(row => row.map(cell => this.renderMarkdownInline(cell, markdown))),
+                    { align: token.align.map(align => align || '') }
+                )];
+            case 'code':
+                return [this.model.code(token.text, token.lang || '')];
+            case 'blockquote':
+                return [this.model.blockquote(token.tokens.flatMap(child => this.markdownTokenToBlocks(child, markdown)))];
+            case 'html': {
+                const [firstLine, ...rest] = token.text.trim().split('\n');
+                // HTML blocks run until a blank line, so a section marker may carry content with it
+                if (rest.length > 0 && this.sectionDetector.parseMarker(firstLine)) {
+                    return [
+                        this.model.html(firstLine.trim()),
+                        ...markdown.lexer(rest.join('\n'), { gfm: true }).flatMap(child => this.markdownTokenToBlocks(child, markdown))
+                    ];
+                }
+                return [this.model.html(token.text.trim())];
+            }
+            default:
+                // space, hr and link definitions have no blog equivalent
+                return [];
+        }
+    }
+
+    /**
+     * Convert a markdown list token (with nested lists) to a list block
+     * @param {Object} token 
+     * @param {Object} markdown 
+     * @returns {Object}
+     */
+    markdownListToBlock(token, markdown) {
+        const list = this.model.list(token.ordered);
+
+        token.items.forEach(item => {
+            let text = '';
+            const children = [];
+
+            item.tokens.forEach(child => {
+                if (!text && (child.type === 'text' || child.type === 'paragraph')) {
+                    text = this.renderMarkdownInline(child, markdown);
+                } else {
+                    children.push(...this.markdownTokenToBlocks(child, markdown));
+                }
+            });
+
+            list.items.push(this.model.listItem(text, children, true));
+        });
+
+        return list;
+    }
+
+    /**
+     * Render the inline tokens of a markdown token to HTML
+     * @param {Object} token 
+     * @param {Object} markdown 
+     * @returns {string}
+     */
+    renderMarkdownInline(token, markdown) {
+        // Markdown allows inline HTML, which keeps only the allowed tags and attributes
+        return this.sanitizer.sanitize(token.tokens ? markdown.Parser.parseInline(token.tokens) : token.text);
+    }
+
+    /**
+     * Detect whether a line is a heading and at which level
+     * Heading markup written by the author (H2: Title, [H3] Title, ## Title) wins, then
+     * levels the user picked while reviewing headings, explicit levels (e.g. from DOCX heading styles),
+     * then the scored rules
+     * @param {Array<string>} lines 
+     * @param {number} index - Line index within the content
+     * @param {Object} options 
+     * @returns {Object|null} { level, explicit } or { level, score, rules, borderline }, or null if it is not a heading
+     */
+    detectHeading(lines, index, options = {}) {
+        const explicit = this.headingDetector.getExplicitHeading(lines[index]);
+        if (explicit) {
+            return { level: explicit.level, explicit: true };
+        }
+
+        // Review picks stay within the H2-H4 range the blog body uses
+        if (options.headingOverrides && options.headingOverrides.has(index)) {
+            const level = options.headingOverrides.get(index);
+            return level ? { level: Math.min(Math.max(level, 2), 4) } : null;
+        }
+
+        if (options.headingLevels) {
+            const level = options.headingLevels.get(index);
+            return level ? { level: level } : null;
+        }
+
+        const detection = this.headingDetector.detect(lines, index);
+        if (!detection.isHeading) return null;
+
+        return {
+            level: this.getHeadingLevel(lines[index]),
+            score: detection.score,
+            rules: detection.rules,
+            borderline: detection.borderline
+        };
+    }
+
+    /**
+     * Check a single line (without its neighbors) against the heading rules
+     * @param {string} line 
+     * @returns {boolean}
+     */
+    isHeading(line) {
+        return this.headingDetector.detect([line], 0).isHeading;
+    }
+
+    getHeadingLevel(line) {
+        const text = line.trim();
+        
+        // Numbered headings - check for different levels
+        if (text.match(/^\d+\.\s+/)) {
+            // Main numbered sections (1. 2. 3.) = H2
+            return 2;
+        }
+        if (text.match(/^\d+\.\d+\.\s+/)) {
+            // Sub-numbered sections (1.1. 1.2.) = H3
+            return 3;
+        }
+        if (text.match(/^\d+\.\d+\.\d+\.\s+/)) {
+            // Sub-sub-numbered sections (1.1.1.) = H4
+            return 4;
+        }
+        
+        // Bold formatting - only if it's isolated bold text (likely a heading)
+        const hasBoldFormatting = /\*\*(.*?)\*\*/.test(text) || /<strong>(.*?)<\/strong>/i.test(text);
+        if (hasBoldFormatting) {
+            const beforeAfterContext = text.replace(/\*\*.*?\*\*|<strong>.*?<\/strong>/gi, '').trim();
+            // Only treat as heading if there's minimal context around the bold text
+            if (beforeAfterContext.length <= 5) {
+                const cleanText = text.replace(/\*\*|\<\/?strong\>/gi, '');
+                const words = cleanText.split(/\s+/);
+                if (words.length <= 3) {
+                    return 2; // Short bold text = H2
+                } else if (words.length <= 6) {
+                    return 3; // Medium bold text = H3
+                } else {
+                    return 4; // Longer bold text = H4
+                }
+            }
+        }
+        
+        // Questions are typically subsections (H3) - unless we're in FAQ section
+        if (text.endsWith('?')) return 3;
+        
+        // ALL CAPS analysis
+        if (text === text.toUpperCase() && /^[A-Z\s\-:]+$/.test(text)) {
+            const words = text.split(/\s+/);
+            if (words.length <= 3) {
+                return 2; // Short ALL CAPS = H2 (main sections)
+            } else if (words.length <= 6) {
+                return 3; // Medium ALL CAPS = H3 (subsections)
+            } else {
+                return 4; // Longer ALL CAPS = H4
+            }
+        }
+        
+        // Title Case headings analysis
+        const words = text.split(/\s+/);
+        if (words.length >= 2 && words.length <= 10) {
+            const titleCaseWords = words.filter(word => 
+                word.length > 0 && 
+                /^[A-Z]/.test(word) && 
+                word.length > 2
+            );
+            
+            if (titleCaseWords.length >= words.length * 0.6) {
+                if (words.length <= 3) {
+                    return 2; // Short Title Case = H2 (main sections)
+                } else if (words.length <= 6) {
+                    return 3; // Medium Title Case = H3 (subsections)
+                } else {
+                    return 4; // Longer Title Case = H4
+                }
+            }
+        }
+        
+        // Colon-ending headings
+        if (text.endsWith(':')) {
+            return 3; // Section labels = H3
+        }
+        
+        // Underlined text
+        if (text.includes('_')) {
+            return 3; // Underlined = H3
+        }
+        
+        // Default to H2 (never H1)
+        return 2;
+    }
+
+    cleanHeadingText(line) {
+        const explicit = this.headingDetector.getExplicitHeading(line);
+        let cleanText = explicit ? explicit.text : line.trim();
+        
+        // Remove numbered prefixes (1. 2. 1.1. etc.)
+        cleanText = cleanText.replace(/^\d+(\.\d+)*\.\s+/, '');
+        
+        // Remove underscores (if used for emphasis)
+        cleanText = cleanText.replace(/_{2,}/g, '');
+        
+        // Clean colons at the end
+        cleanText = cleanText.replace(/:$/, '');
+        
+        return cleanText.trim();
+    }
+
+    /**
+     * Whether a draft line belongs to an open TOC: a list item or a link-only line
+     * @param {string} line
+     * @returns {boolean}
+     */
+    isTOCEntryLine(line) {
+        if (this.isListItem(line)) return true;
+        return this.sectionDetector.isTOCEntry(this.model.paragraph(this.inlineFormatter.format(line), true));
+    }
+
+    isListItem(line) {
+        return /^[-•*◦▪‣○■●]\s+/.test(line) || /^\d+[.)]\s+/.test(line);
+    }
+
+    getListType(line) {
+        return /^\d+[.)]/.test(line) ? 'ordered' : 'unordered';
+    }
+
+    cleanListItem(line) {
+        return line.replace(/^([-•*◦▪‣○■●]|\d+[.)])\s+/, '').trim();
+    }
+
+    /**
+     * Width of a line's leading whitespace (a tab counts as four spaces)
+     * @param {string} line 
+     * @returns {number}
+     */
+    getIndent(line) {
+        const whitespace = line.match(/^[ \t]*/)[0];
+        return whitespace.replace(/\t/g, '    ').length;
+    }
+
+    /**
+     * Add a list item at its indentation, nesting it under the previous item when indented deeper
+     * @param {Array<Object>} listStack - Open lists, outermost first: { indent, list, container }
+     * @param {Array<Object>} blocks - Top-level blocks
+     * @param {number} indent 
+     * @param {boolean} ordered 
+     * @param {Object} item - List item from DocumentModel.listItem()
+     */
+    addListItem(listStack, blocks, indent, ordered, item) {
+        // Close lists indented deeper than this item
+        while (listStack.length > 0 && listStack[listStack.length - 1].indent > indent) {
+            listStack.pop();
+        }
+
+        let current = listStack[listStack.length - 1];
+
+        if (current && current.indent < indent) {
+            // Sub-list inside the last item of the enclosing list
+            const parentItem = current.list.items[current.list.items.length - 1];
+            current = { indent: indent, list: this.model.list(ordered), container: parentItem.children };
+            current.container.push(current.list);
+            listStack.push(current);
+        } else if (!current || current.list.ordered !== ordered) {
+            // New list, or a switch between bullets and numbers at the same level
+            const container = current ? current.container : blocks;
+            if (current) listStack.pop();
+            current = { indent: indent, list: this.model.list(ordered), container: container };
+            container.push(current.list);
+            listStack.push(current);
+        }
+
+        current.list.items.push(item);
+    }
+
+    /**
+     * Whether an open list goes on after a blank line: the next line is a sub-item
+     * or the next step of an ordered list
+     * @param {Array<string>} lines 
+     * @param {number} index - Index of the blank line
+     * @param {Array<Object>} listStack 
+     * @returns {boolean}
+     */
+    continuesList(lines, index, listStack) {
+        if (listStack.length === 0) return false;
+
+        const next = this.getNextLine(lines, index);
+        if (!next || !this.isListItem(next.trim())) return false;
+
+        const outer = listStack[0];
+        return this.getIndent(next) > outer.indent ||
+            (outer.list.ordered && this.getListType(next.trim()) === 'ordered');
+    }
+
+    /**
+     * Whether a list item line is part of a list rather than a numbered heading:
+     * a list is already open (also inside sections, where items don't open one), or sub-items or the next item follow it
+     * @param {Array<string>} lines 
+     * @param {number} index 
+     * @param {Array<Object>} listStack 
+     * @returns {boolean}
+     */
+    belongsToList(lines, index, listStack) {
+        const line = lines[index];
+        if (!this.isListItem(line.trim())) return false;
+        if (listStack.length > 0) return true;
+
+        const previous = lines[index - 1];
+        if (previous && this.isListItem(previous.trim())) return true;
+
+        const next = lines[index + 1];
+        return Boolean(next) && this.isListItem(next.trim()) && this.getIndent(next) >= this.getIndent(line);
+    }
+
+    /**
+     * Next non-blank line after an index
+     * @param {Array<string>} lines 
+     * @param {number} index 
+     * @returns {string|undefined}
+     */
+    getNextLine(lines, index) {
+        let nextIndex = index + 1;
+        while (nextIndex < lines.length && !lines[nextIndex].trim()) nextIndex++;
+        return lines[nextIndex];
+    }
+
+    analyzeHtmlStructure(html) {
+        const doc = this.createHTMLDocument(html);
+        
+        return {
+            headings: Array.from(doc.querySelectorAll('h1,h2,h3,h4,h5,h6')).map(h => ({
+                level: parseInt(h.tagName.substring(1)),
+                text: h.textContent,
+                id: h.id
+            })),
+            paragraphs: Array.from(doc.querySelectorAll('p')).map(p => ({
+                text: p.textContent
+            })),
+            lists: Array.from(doc.querySelectorAll('ul,ol')).map(list => ({
+                type: list.tagName.toLowerCase() === 'ul' ? 'unordered' : 'ordered',
+                items: Array.from(list.querySelectorAll('li')).map(li => li.textContent)
+            }))
+        };
+    }
+
+    /**
+     * Convert imported HTML (Google Docs, WordPress, Notion, Word) to Space-O formatted HTML
+     * @param {string} html 
+     * @returns {string}
+     */
+    convertHTMLToSpaceO(html) {
+        return this.renderer.render(this.parseHTMLToDocument(html));
+    }
+
+    /**
+     * Parse HTML into the document model, dropping presentational markup
+     * @param {string} html 
+     * @returns {Object} Document node
+     */
+    parseHTMLToDocument(html) {
+        return this.finishDocument(this.htmlImporter.importDocument(this.createHTMLDocument(html)));
+    }
+
+    /**
+     * Steps shared by every input format: unique heading anchors, then TOC and Key Takeaways placement
+     * @param {Object} document 
+     * @returns {Object} Document node
+     */
+    finishDocument(document) {
+        return this.sectionPlacer.place(this.anchors.assignIds(document));
+    }
+
+    /**
+     * Clean up HTML by removing duplicates and unused elements (see HTMLCleaner for the rules)
+     * @param {string} html - The HTML content to clean
+     * @returns {Object} { html, report } - report lists what each rule removed
+     */
+    cleanupHTML(html) {
+        const body = this.createHTMLDocument(html).body;
+        const report = this.htmlCleaner.clean(body);
+        return { html: body.innerHTML.trim(), report: report };
+    }
+
+    /**
+     * Check if a line represents a table row
+     * @param {string} line 
+     * @returns {boolean}
+     */
+    isTableRow(line) {
+        // Check for pipe-separated format (most common)
+        if (line.includes('|') && line.split('|').length >= 2) {
+            return true;
+        }
+        
+        // Check for tab-separated format
+        if (line.includes('\t') && line.split('\t').length >= 2) {
+            return true;
+        }
+        
+        // Check for multiple spaces (space-separated columns)
+        if (/\s{3,}/.test(line) && line.split(/\s{3,}/).length >= 2) {
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Collect consecutive table rows starting from current index
+     * @param {Array} lines 
+     * @param {number} startIndex 
+     * @returns {Array}
+     */
+    collectTableRows(lines, startIndex) {
+        const tableRows = [];
+        
+        for (let i = startIndex; i < lines.length; i++) {
+            const line = lines[i].trim();
+            
+            // Skip empty lines within table
+            if (!line) {
+                // If we have some rows and hit an empty line, check next line
+                if (tableRows.length > 0) {
+                    // Look ahead to see if there's another table row
+                    let nextRowIndex = i + 1;
+                    while (nextRowIndex < lines.length && !lines[nextRowIndex].trim()) {
+                        nextRowIndex++;
+                    }
+                    
+                    if (nextRowIndex < lines.length && this.isTableRow(lines[nextRowIndex])) {
+                        continue; // Skip empty line, continue collecting
+                    } else {
+                        break; // End of table
+                    }
+                }
+                continue;
+            }
+            
+            // If this line is a table row, add it
+            if (this.isTableRow(line)) {
+                tableRows.push(line);
+            } else {
+                // Not a table row, stop collecting
+                break;
+            }
+        }
+        
+        return tableRows;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContentParser;
+} else {
+    window.ContentParser = ContentParser;
+}
@@ -0,0 +1,315 @@
+/**
+ * Document Model for Space-O Technologies Blog Format
+ * Intermediate block tree produced by every input parser and rendered by SpaceORenderer
+ */
+
+/**
+ * @typedef {Object} DocumentNode
+ * @property {'document'} type
+ * @property {Array<Block>} blocks
+ * @property {Object} metadata
+ */
+
+/**
+ * @typedef {HeadingBlock|ParagraphBlock|ListBlock|TableBlock|SectionBlock|FAQItemBlock|StepBlock|CTABlock|ImageBlock|CodeBlock|BlockquoteBlock|HTMLBlock} Block
+ */
+
+/**
+ * @typedef {Object} HeadingBlock
+ * @property {'heading'} type
+ * @property {number} level - 2 to 4 (the blog never uses H1)
+ * @property {string} text - Inline HTML of the heading
+ * @property {string} id - Anchor used by TOC links
+ * @property {Object} [detection] - { score, rules } when the heading was detected by HeadingDetector
+ */
+
+/**
+ * @typedef {Object} ParagraphBlock
+ * @property {'paragraph'} type
+ * @property {string} text - Inline source (**bold**, *italic*, [link](url))
+ * @property {boolean} [html] - Text is already inline HTML (e.g. from the Markdown lexer)
+ */
+
+/**
+ * @typedef {Object} ListBlock
+ * @property {'list'} type
+ * @property {boolean} ordered
+ * @property {Array<ListItem>} items
+ */
+
+/**
+ * @typedef {Object} ListItem
+ * @property {string} text
+ * @property {Array<Block>} children - Nested blocks (e.g. sub-lists)
+ * @property {boolean} [html] - Text is already inline HTML
+ */
+
+/**
+ * @typedef {Object} TableBlock
+ * @property {'table'} type
+ * @property {Array<Array<TableCell>>} head - Header rows
+ * @property {Array<Array<TableCell>>} rows - Body rows
+ * @property {Array<string>} align - Column alignment: 'left', 'center', 'right' or '' (default)
+ * @property {string} [caption] - Inline HTML
+ */
+
+/**
+ * @typedef {Object} TableCell
+ * @property {string} text - Cell content as inline HTML; empty cells are kept so columns stay aligned
+ * @property {number} [colspan]
+ * @property {number} [rowspan]
+ * @property {string} [align] - Overrides the column alignment
+ */
+
+/**
+ * @typedef {Object} SectionBlock
+ * @property {'section'} type
+ * @property {string} sectionType - Section type from SectionDetector (toc, key-takeaways, faq, steps, ...)
+ * @property {Array<string>} items - Section lines as inline HTML (draft text arrives escaped)
+ * @property {Array<Block>} children - Structured content (e.g. FAQ items, steps)
+ * @property {number} [maxLevel] - Deepest heading level listed (TOC sections)
+ */
+
+/**
+ * @typedef {Object} FAQItemBlock
+ * @property {'faq-item'} type
+ * @property {string} question - Empty for answers without an explicit question
+ * @property {string} id
+ * @property {Array<ParagraphBlock|ListBlock>} answers - Answer paragraphs and lists
+ * @property {string} [warning] - Set when the question has no answer
+ */
+
+/**
+ * @typedef {Object} StepBlock
+ * @property {'step'} type
+ * @property {string} title
+ * @property {Array<string>} description - Description paragraphs
+ * @property {Array<ImageBlock>} images
+ * @property {Array<string>} substeps
+ */
+
+/**
+ * @typedef {Object} CTABlock
+ * @property {'cta'} type
+ * @property {string} variant - cta, cta1 or cta2
+ * @property {string} [heading]
+ * @property {string} [description]
+ * @property {string} [buttonText]
+ * @property {string} [imageUrl]
+ */
+
+/**
+ * @typedef {Object} ImageBlock
+ * @property {'image'} type
+ * @property {string} src - Plain URL, escaped (and checked) by the renderer
+ * @property {string} alt - Plain text; an image without it is reported as a warning
+ * @property {string} [caption] - Plain text
+ * @property {number} [width] - Pixels, when the source states it
+ * @property {number} [height]
+ */
+
+/**
+ * @typedef {Object} CodeBlock
+ * @property {'code'} type
+ * @property {string} code - Verbatim source
+ * @property {string} [language]
+ */
+
+/**
+ * @typedef {Object} BlockquoteBlock
+ * @property {'blockquote'} type
+ * @property {Array<Block>} children
+ */
+
+/**
+ * @typedef {Object} HTMLBlock
+ * @property {'html'} type
+ * @property {string} html - Raw HTML passed through unchanged
+ */
+
+class DocumentModel {
+    /**
+     * @param {Array<Block>} blocks
+     * @param {Object} metadata
+     * @returns {DocumentNode}
+     */
+    static document(blocks = [], metadata = {}) {
+        return { type: 'document', blocks: blocks, metadata: metadata };
+    }
+
+    /**
+     * @returns {HeadingBlock}
+     */
+    static heading(level, text, id) {
+        return { type: 'heading', level: level, text: text, id: id };
+    }
+
+    /**
+     * @returns {ParagraphBlock}
+     */
+    static paragraph(text, html = false) {
+        const paragraph = { type: 'paragraph', text: text };
+        if (html) paragraph.html = true;
+        return paragraph;
+    }
+
+    /**
+     * @returns {ListBlock}
+     */
+    static list(ordered, items = []) {
+        return { type: 'list', ordered: ordered, items: items };
+    }
+
+    /**
+     * @returns {ListItem}
+     */
+    static listItem(text, children = [], html = false) {
+        const item = { text: text, children: children };
+        if (html) item.html = true;
+        return item;
+    }
+
+    /**
+     * @param {Array<Array<TableCell|string>>} head - Header rows
+     * @param {Array<Array<TableCell|string>>} rows - Body rows
+     * @param {Object} options - { align, caption }
+     * @returns {TableBlock}
+     */
+    static table(head = [], rows = [], options = {}) {
+        const toCells = row => row.map(cell => typeof cell === 'string' ? DocumentModel.tableCell(cell) : cell);
+        const table = {
+            type: 'table',
+            head: head.map(toCells),
+            rows: rows.map(toCells),
+            align: options.align || []
+        };
+        if (options.caption) table.caption = options.caption;
+        return table;
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} options - { colspan, rowspan, align }
+     * @returns {TableCell}
+     */
+    static tableCell(text, options = {}) {
+        const cell = { text: text };
+        if (options.colspan > 1) cell.colspan = options.colspan;
+        if (options.rowspan > 1) cell.rowspan = options.rowspan;
+        if (options.align) cell.align = options.align;
+        return cell;
+    }
+
+    /**
+     * @param {string} sectionType
+     * @param {Object} content - { items, children, maxLevel }
+     * @returns {SectionBlock}
+     */
+    static section(sectionType, content = {}) {
+        const section = {
+            type: 'section',
+            sectionType: sectionType,
+            items: content.items || [],
+            children: content.children || []
+        };
+        if (content.maxLevel) section.maxLevel = content.maxLevel;
+        return section;
+    }
+
+    /**
+     * @returns {FAQItemBlock}
+     */
+    static faqItem(question, id, answers = []) {
+        return { type: 'faq-item', question: question, id: id, answers: answers };
+    }
+
+    /**
+     * @returns {StepBlock}
+     */
+    static step(title, description = [], images = [], substeps = []) {
+        return { type: 'step', title: title, description: description, images: images, substeps: substeps };
+    }
+
+    /**
+     * @param {string} variant
+     * @param {Object} fields - { heading, description, buttonText, imageUrl }
+     * @returns {CTABlock}
+     */
+    static cta(variant, fields = {}) {
+        return { type: 'cta', variant: variant, ...fields };
+    }
+
+    /**
+     * @param {string} src
+     * @param {string} alt
+     * @param {string} caption
+     * @param {Object} size - { width, height } in pixels
+     * @returns {ImageBlock}
+     */
+    static image(src, alt = '', caption = '', size = {}) {
+        const image = { type: 'image', src: src, alt: alt, caption: caption };
+        if (size.width > 0) image.width = Math.round(size.width);
+        if (size.height > 0) image.height = Math.round(size.height);
+        return image;
+    }
+
+    /**
+     * @returns {CodeBlock}
+     */
+    static code(code, language = '') {
+        return { type: 'code', code: code, language: language };
+    }
+
+    /**
+     * @returns {BlockquoteBlock}
+     */
+    static blockquote(children = []) {
+        return { type: 'blockquote', children: children };
+    }
+
+    /**
+     * @returns {HTMLBlock}
+     */
+    static html(html) {
+        return { type: 'html', html: html };
+    }
+
+    /**
+     * Strip tags and common entities from inline HTML
+     * @param {string} html 
+     * @returns {string}
+     */
+    static getPlainText(html) {
+        return html
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Collect all headings in document order, including those nested in list items
+     * @param {DocumentNode} document
+     * @returns {Array<HeadingBlock>}
+     */
+    static getHeadings(document) {
+        const headings = [];
+        const visit = blocks => blocks.forEach(block => {
+            if (block.type === 'heading') headings.push(block);
+            if (block.type === 'list') block.items.forEach(item => visit(item.children));
+            if (block.type === 'blockquote') visit(block.children);
+        });
+        visit(document.blocks);
+        return headings;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentModel;
+} else {
+    window.DocumentModel = DocumentModel;
+}
@@ -0,0 +1,144 @@
+/**
+ * DOCX Image Extractor for the Express server
+ * Collects the pictures mammoth finds in a .docx, deduplicated by content hash, optionally resized or
+ * converted (with the optional sharp package), and hands them out as downloadable assets or data URIs
+ */
+
+const crypto = require('crypto');
+
+class DocxImageExtractor {
+    /**
+     * @param {Object} options - { mode: 'files'|'data-uri', directory, maxWidth, format: 'png'|'jpeg'|'webp' }
+     *                            Resizing and converting use the optional sharp dependency; without it images are kept as they are
+     */
+    constructor(options = {}) {
+        this.mode = options.mode === 'data-uri' ? 'data-uri' : 'files';
+        this.directory = options.directory || 'images';
+        this.maxWidth = options.maxWidth > 0 ? options.maxWidth : null;
+        this.format = ['png', 'jpeg', 'webp'].includes(options.format) ? options.format : null;
+        this.extensions = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/webp': 'webp',
+            'image/bmp': 'bmp',
+            'image/tiff': 'tif',
+            'image/svg+xml': 'svg',
+            'image/x-emf': 'emf',
+            'image/x-wmf': 'wmf'
+        };
+        // Content hash -> asset, so a picture used twice is stored once
+        this.assets = new Map();
+    }
+
+    /**
+     * mammoth convertImage callback (wrap with mammoth.images.imgElement): store the picture
+     * and return the attributes of its <img>
+     * @param {Object} image - mammoth image: { contentType, altText, read() }
+     * @returns {Promise<Object>} { src, alt, width, height }
+     */
+    async convert(image) {
+        const buffer = await image.read();
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+        let asset = this.assets.get(hash);
+        if (!asset) {
+            asset = await this.createAsset(buffer, image.contentType, hash);
+            this.assets.set(hash, asset);
+        }
+
+        const attributes = { src: asset.path, alt: image.altText || '' };
+        if (asset.width) attributes.width = String(asset.width);
+        if (asset.height) attributes.height = String(asset.height);
+        return attributes;
+    }
+
+    /**
+     * @param {Buffer} buffer
+     * @param {string} contentType
+     * @param {string} hash
+     * @returns {Promise<Object>} { name, path, contentType, hash, size, width, height, data }
+     */
+    async createAsset(buffer, contentType, hash) {
+        const processed = await this.process(buffer, contentType);
+        const name = `image-${hash.slice(0, 12)}.${this.extensions[processed.contentType] || 'bin'}`;
+
+        return {
+            name: name,
+            path: `${this.directory}/${name}`,
+            contentType: processed.contentType,
+            hash: hash,
+            size: processed.data.length,
+            width: processed.width || null,
+            height: processed.height || null,
+            data: processed.data
+        };
+    }
+
+    /**
+     * Resize to maxWidth and convert to format when configured and sharp is installed
+     * @param {Buffer} buffer
+     * @param {string} contentType
+     * @returns {Promise<Object>} { data, contentType, width, height }
+     */
+    async process(buffer, contentType) {
+        const sharp = this.maxWidth || this.format ? this.loadSharp() : null;
+        // Vector and Office formats (SVG, EMF, WMF) are kept as they are
+        if (!sharp || !/^image\/(png|jpeg|gif|webp|tiff)$/.test(contentType)) {
+            return { data: buffer, contentType: contentType };
+        }
+
+        let pipeline = sharp(buffer);
+        if (this.maxWidth) pipeline = pipeline.resize({ width: this.maxWidth, withoutEnlargement: true });
+        if (this.format) pipeline = pipeline.toFormat(this.format);
+
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        return { data: data, contentType: `image/${info.format}`, width: info.width, height: info.height };
+    }
+
+    /**
+     * @returns {Function|null} sharp, or null when it isn't installed
+     */
+    loadSharp() {
+        // Looked up once per process
+        if (DocxImageExtractor.sharp === undefined) {
+            try {
+                DocxImageExtractor.sharp = require('sharp');
+            } catch (error) {
+                console.warn('sharp is not installed, DOCX images are kept at their original size and format');
+                DocxImageExtractor.sharp = null;
+            }
+        }
+        return DocxImageExtractor.sharp;
+    }
+
+    /**
+     * In data-uri mode, swap the asset paths in converted HTML for data URIs
+     * @param {string} html
+     * @returns {string}
+     */
+    resolve(html) {
+        if (this.mode !== 'data-uri' || !html) return html;
+
+        let resolved = html;
+        this.assets.forEach(asset => {
+            resolved = resolved.split(`"${asset.path}"`).join(`"data:${asset.contentType};base64,${asset.data.toString('base64')}"`);
+        });
+        return resolved;
+    }
+
+    /**
+     * Assets for the JSON response, with base64 data; none in data-uri mode, where the HTML carries them
+     * @returns {Array<Object>} { name, path, contentType, hash, size, width, height, data }
+     */
+    getAssets() {
+        if (this.mode === 'data-uri') return [];
+
+        return Array.from(this.assets.values()).map(asset => ({
+            ...asset,
+            data: asset.data.toString('base64')
+        }));
+    }
+}
+
+module.exports = DocxImageExtractor;
@@ -0,0 +1,760 @@
+/**
+ * DOCX Reader for Space-O Technologies Blog Format
+ * Reads .docx files in the browser (no server required): unzips the package,
+ * walks word/document.xml and resolves styles, numbering, links, tables and pictures
+ */
+
+class DocxReader {
+    constructor() {
+        this.namespaces = {
+            w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+            r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+            wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+            a: 'http://schemas.openxmlformats.org/drawingml/2006/main'
+        };
+        // Formats browsers display (and HTMLSanitizer accepts as data URLs)
+        this.imageTypes = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' };
+        this.styles = {};
+        this.numbering = {};
+        this.relationships = {};
+        this.tableBuilder = new TableBuilder();
+    }
+
+    /**
+     * Read a DOCX file into document blocks and parser-ready text
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {Promise<Object>} { blocks, text, headingLevels, tables, images }
+     */
+    async read(arrayBuffer) {
+        const entries = this.readZipEntries(arrayBuffer);
+        if (!entries['word/document.xml']) {
+            throw new Error('Not a valid DOCX file (word/document.xml is missing)');
+        }
+
+        const [documentXml, stylesXml, numberingXml, relsXml] = await Promise.all([
+            this.readZipEntry(entries['word/document.xml']),
+            this.readZipEntry(entries['word/styles.xml']),
+            this.readZipEntry(entries['word/numbering.xml']),
+            this.readZipEntry(entries['word/_rels/document.xml.rels'])
+        ]);
+
+        this.styles = stylesXml ? this.readStyles(this.parseXml(stylesXml)) : {};
+        this.numbering = numberingXml ? this.readNumbering(this.parseXml(numberingXml)) : {};
+        this.relationships = relsXml ? this.readRelationships(this.parseXml(relsXml)) : {};
+
+        const body = this.childElements(this.parseXml(documentXml).documentElement, 'body')[0];
+        const blocks = body ? this.readBlocks(body) : [];
+        await this.loadImages(blocks, entries);
+
+        return {
+            blocks: blocks,
+            ...this.toText(blocks)
+        };
+    }
+
+    /**
+     * Locate the entries of a ZIP archive via its central directory
+     * @param {ArrayBuffer} arrayBuffer
+     * @returns {Object} Entry descriptors keyed by file name
+     */
+    readZipEntries(arrayBuffer) {
+        const view = new DataView(arrayBuffer);
+        const bytes = new Uint8Array(arrayBuffer);
+        const decoder = new TextDecoder();
+
+        // End of central directory record is within the last 64KB + 22 bytes
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Not a valid DOCX file (ZIP directory not found)');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const entries = {};
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // Local header has its own name/extra lengths before the data
+            const localNameLength = view.getUint16(localOffset + 26, true);
+            const localExtraLength = view.getUint16(localOffset + 28, true);
+            const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+
+            entries[name] = {
+                method: method,
+                data: bytes.subarray(dataStart, dataStart + compressedSize)
+            };
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Decompress a ZIP entry and decode it as UTF-8
+     * @param {Object} entry
+     * @returns {Promise<string|null>}
+     */
+    async readZipEntry(entry) {
+        const bytes = await this.readZipBytes(entry);
+        return bytes ? new TextDecoder().decode(bytes) : null;
+    }
+
+    /**
+     * Decompress a ZIP entry
+     * @param {Object} entry
+     * @returns {Promise<Uint8Array|null>}
+     */
+    async readZipBytes(entry) {
+        if (!entry) return null;
+
+        if (entry.method === 0) {
+            return entry.data;
+        }
+
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported DOCX compression method: ${entry.method}`);
+        }
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress DOCX files. Please use a recent browser or convert to .txt or .md format first.');
+        }
+
+        const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    parseXml(xml) {
+        return new DOMParser().parseFromString(xml, 'application/xml');
+    }
+
+    /**
+     * Element children in the WordprocessingML namespace, optionally filtered by local name
+     * @param {Element} node
+     * @param {string} [localName]
+     * @returns {Array<Element>}
+     */
+    childElements(node, localName) {
+        return Array.from(node.childNodes).filter(child =>
+            child.nodeType === 1 &&
+            child.namespaceURI === this.namespaces.w &&
+            (!localName || child.localName === localName)
+        );
+    }
+
+    getVal(node, localName) {
+        const element = this.childElements(node, localName)[0];
+        return element ? element.getAttributeNS(this.namespaces.w, 'val') : null;
+    }
+
+    /**
+     * Read paragraph styles with their heading level, numbering and parent style
+     * @param {Document} xml
+     * @returns {Object}
+     */
+    readStyles(xml) {
+        const styles = {};
+
+        this.childElements(xml.documentElement, 'style').forEach(style => {
+            if (style.getAttributeNS(this.namespaces.w, 'type') !== 'paragraph') return;
+
+            const pPr = this.childElements(style, 'pPr')[0];
+            const numPr = pPr && this.childElements(pPr, 'numPr')[0];
+            const outlineLevel = pPr ? this.getVal(pPr, 'outlineLvl') : null;
+
+            styles[style.getAttributeNS(this.namespaces.w, 'styleId')] = {
+                name: (this.getVal(style, 'name') || '').toLowerCase(),
+                basedOn: this.getVal(style, 'basedOn'),
+                outlineLevel: outlineLevel !== null ? parseInt(outlineLevel, 10) : null,
+                numId: numPr ? this.getVal(numPr, 'numId') : null,
+                ilvl: numPr ? this.getVal(numPr, 'ilvl') : null
+            };
+        });
+
+        return styles;
+    }
+
+    /**
+     * Read numbering definitions: numId -> level -> number format
+     * @param {Document} xml
+     * @returns {Object}
+     */
+    readNumbering(xml) {
+        const abstractFormats = {};
+        const numbering = {};
+
+        this.childElements(xml.documentElement, 'abstractNum').forEach(abstractNum => {
+            const levels = {};
+            this.childElements(abstractNum, 'lvl').forEach(lvl => {
+                levels[lvl.getAttributeNS(this.namespaces.w, 'ilvl')] = this.getVal(lvl, 'numFmt') || 'decimal';
+            });
+            abstractFormats[abstractNum.getAttributeNS(this.namespaces.w, 'abstractNumId')] = levels;
+        });
+
+        this.childElements(xml.documentElement, 'num').forEach(num => {
+            numbering[num.getAttributeNS(this.namespaces.w, 'numId')] = abstractFormats[this.getVal(num, 'abstractNumId')] || {};
+        });
+
+        return numbering;
+    }
+
+    /**
+     * Read relationship targets (hyperlinks, media) keyed by relationship id
+     * @param {Document} xml
+     * @returns {Object}
+     */
+    readRelationships(xml) {
+        const relationships = {};
+        Array.from(xml.documentElement.childNodes)
+            .filter(node => node.nodeType === 1 && node.localName === 'Relationship')
+            .forEach(rel => {
+                relationships[rel.getAttribute('Id')] = rel.getAttribute('Target');
+            });
+        return relationships;
+    }
+
+    /**
+     * Walk block-level content (paragraphs, tables, content controls)
+     * @param {Element} container
+     * @returns {Array<Object>}
+     */
+    readBlocks(container) {
+        const blocks = [];
+
+        this.childElements(container).forEach(node => {
+            switch (node.localName) {
+                case 'p': {
+                    const images = this.readImages(node);
+                    const block = this.readParagraph(node);
+                    const previous = blocks[blocks.length - 1];
+
+                    // A "Caption" paragraph under a picture is its caption
+                    if (block && images.length === 0 && previous && previous.type === 'image' && !previous.caption && this.isCaption(node)) {
+                        previous.caption = this.normalizeWhitespace(this.readInline(node, { plain: true }));
+                        break;
+                    }
+                    blocks.push(...images);
+                    if (block) blocks.push(block);
+                    break;
+                }
+                case 'tbl':
+                    blocks.push(this.readTable(node));
+                    break;
+                case 'sdt': {
+                    const content = this.childElements(node, 'sdtContent')[0];
+                    if (content) blocks.push(...this.readBlocks(content));
+                    break;
+                }
+            }
+        });
+
+        return blocks;
+    }
+
+    /**
+     * Convert a paragraph into a heading, code line, list item or paragraph block
+     * @param {Element} paragraph
+     * @returns {Object|null}
+     */
+    readParagraph(paragraph) {
+        const pPr = this.childElements(paragraph, 'pPr')[0];
+        const styleId = pPr ? this.getVal(pPr, 'pStyle') : null;
+
+        const headingLevel = this.getHeadingLevel(styleId, pPr);
+        if (headingLevel) {
+            const text = this.normalizeWhitespace(this.readInline(paragraph, { plain: true }));
+            return text ? { type: 'heading', level: headingLevel, text: text } : null;
+        }
+
+        // Code keeps its whitespace and blank lines
+        if (this.isCode(paragraph, styleId)) {
+            return { type: 'code', text: this.readCodeText(paragraph) };
+        }
+
+        const text = this.normalizeWhitespace(this.readInline(paragraph));
+        if (!text) return null;
+
+        const numbering = this.getNumbering(styleId, pPr);
+        if (numbering) {
+            const format = (this.numbering[numbering.numId] || {})[numbering.ilvl] || 'bullet';
+            if (format !== 'none') {
+                return {
+                    type: 'list-item',
+                    ordered: format !== 'bullet',
+                    level: parseInt(numbering.ilvl, 10) || 0,
+                    text: text
+                };
+            }
+        }
+
+        return { type: 'paragraph', text: text };
+    }
+
+    /**
+     * Pictures (inline or floating drawings) of a paragraph with their alt text and display size
+     * @param {Element} paragraph
+     * @returns {Array<Object>} { type: 'image', target, name, alt, caption, width, height }; src is set by loadImages()
+     */
+    readImages(paragraph) {
+        return Array.from(paragraph.getElementsByTagNameNS(this.namespaces.w, 'drawing')).map(drawing => {
+            const blip = drawing.getElementsByTagNameNS(this.namespaces.a, 'blip')[0];
+            const relId = blip && (blip.getAttributeNS(this.namespaces.r, 'embed') || blip.getAttributeNS(this.namespaces.r, 'link'));
+            const target = relId ? this.relationships[relId] : null;
+            if (!target) return null;
+
+            const docPr = drawing.getElementsByTagNameNS(this.namespaces.wp, 'docPr')[0];
+            const extent = drawing.getElementsByTagNameNS(this.namespaces.wp, 'extent')[0];
+            // Drawing sizes are in EMU, 9525 per pixel
+            const toPixels = value => Math.round((parseInt(value, 10) || 0) / 9525);
+
+            return {
+                type: 'image',
+                target: target,
+                name: target.split('/').pop(),
+                alt: docPr ? this.normalizeWhitespace(docPr.getAttribute('descr') || docPr.getAttribute('title') || '') : '',
+                caption: '',
+                width: extent ? toPixels(extent.getAttribute('cx')) : 0,
+                height: extent ? toPixels(extent.getAttribute('cy')) : 0
+            };
+        }).filter(image => image);
+    }
+
+    /**
+     * Whether a paragraph uses Word's Caption style (directly or through its parent styles)
+     * @param {Element} paragraph
+     * @returns {boolean}
+     */
+    isCaption(paragraph) {
+        const pPr = this.childElements(paragraph, 'pPr')[0];
+        return this.getStyleNames(pPr ? this.getVal(pPr, 'pStyle') : null).includes('caption');
+    }
+
+    /**
+     * Whether a paragraph is code: a code style ("Code", "HTML Preformatted", "Source Code", directly
+     * or through its parent styles), or every run set in a monospace font, as Google Docs exports it
+     * @param {Element} paragraph
+     * @param {string|null} styleId
+     * @returns {boolean}
+     */
+    isCode(paragraph, styleId) {
+        if (this.getStyleNames(styleId).some(name => /\b(code|preformatted|source|console)\b/.test(name))) return true;
+
+        const runs = Array.from(paragraph.getElementsByTagNameNS(this.namespaces.w, 'r'))
+            .filter(run => this.childElements(run, 't').some(t => t.textContent.trim()));
+        return runs.length > 0 && runs.every(run => {
+            const rPr = this.childElements(run, 'rPr')[0];
+            const fonts = rPr && this.childElements(rPr, 'rFonts')[0];
+            const font = fonts ? fonts.getAttributeNS(this.namespaces.w, 'ascii') || fonts.getAttributeNS(this.namespaces.w, 'hAnsi') : '';
+            return /courier|consolas|mono|menlo|monaco|lucida console|fira code|source code/i.test(font || '');
+        });
+    }
+
+    /**
+     * Names of a paragraph style and the styles it is based on
+     * @param {string|null} styleId
+     * @returns {Array<string>}
+     */
+    getStyleNames(styleId) {
+        const names = [];
+        const visited = new Set();
+        while (styleId && this.styles[styleId] && !visited.has(styleId)) {
+            visited.add(styleId);
+            names.push(this.styles[styleId].name);
+            styleId = this.styles[styleId].basedOn;
+        }
+        return names;
+    }
+
+    /**
+     * Text of a code paragraph as written: tabs stay tabs and line breaks become new lines
+     * @param {Element} paragraph
+     * @returns {string}
+     */
+    readCodeText(paragraph) {
+        const characters = { tab: '\t', br: '\n', cr: '\n', noBreakHyphen: '-' };
+        return Array.from(paragraph.getElementsByTagNameNS(this.namespaces.w, '*'))
+            .filter(node => node.parentNode.localName === 'r')
+            .map(node => node.localName === 't' ? node.textContent : characters[node.localName] || '')
+            .join('');
+    }
+
+    /**
+     * Embed pictures from word/media as data URLs; linked pictures keep their URL
+     * Pictures in formats browsers can't show (EMF, TIFF, ...) get no src and are left out
+     * @param {Array<Object>} blocks
+     * @param {Object} entries - From readZipEntries()
+     * @returns {Promise<void>}
+     */
+    async loadImages(blocks, entries) {
+        await Promise.all(blocks.filter(block => block.type === 'image').map(async image => {
+            if (/^[a-z][a-z0-9+.-]*:/i.test(image.target)) {
+                image.src = image.target;
+                return;
+            }
+
+            // Targets are relative to word/ unless they start at the package root
+            const path = image.target.startsWith('/') ? image.target.slice(1) : `word/${image.target}`;
+            const type = this.imageTypes[image.name.split('.').pop().toLowerCase()];
+            const bytes = type ? await this.readZipBytes(entries[path]) : null;
+            image.src = bytes ? this.toDataURL(bytes, type) : '';
+        }));
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {string} type - MIME type
+     * @returns {string}
+     */
+    toDataURL(bytes, type) {
+        let binary = '';
+        // Chunked, as String.fromCharCode takes a limited number of arguments
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${type};base64,${btoa(binary)}`;
+    }
+
+    /**
+     * Resolve the blog heading level (2-4) of a paragraph from its style chain
+     * Word "Heading 1" maps to H2 since the blog never uses H1
+     * @param {string|null} styleId
+     * @param {Element} [pPr]
+     * @returns {number|null}
+     */
+    getHeadingLevel(styleId, pPr) {
+        let level = null;
+
+        const directOutline = pPr ? this.getVal(pPr, 'outlineLvl') : null;
+        if (directOutline !== null && parseInt(directOutline, 10) < 9) {
+            level = parseInt(directOutline, 10) + 1;
+        }
+
+        const visited = new Set();
+        while (!level && styleId && this.styles[styleId] && !visited.has(styleId)) {
+            visited.add(styleId);
+            const style = this.styles[styleId];
+            const nameMatch = style.name.match(/^heading\s*(\d)$/);
+
+            if (nameMatch) {
+                level = parseInt(nameMatch[1], 10);
+            } else if (style.name === 'title') {
+                level = 1;
+            } else if (style.outlineLevel !== null && style.outlineLevel < 9) {
+                level = style.outlineLevel + 1;
+            }
+            styleId = style.basedOn;
+        }
+
+        if (!level) return null;
+        return Math.min(Math.max(level, 2), 4);
+    }
+
+    /**
+     * Resolve list numbering from direct formatting or the style chain
+     * @param {string|null} styleId
+     * @param {Element} [pPr]
+     * @returns {Object|null} { numId, ilvl }
+     */
+    getNumbering(styleId, pPr) {
+        const numPr = pPr && this.childElements(pPr, 'numPr')[0];
+        let numId = numPr ? this.getVal(numPr, 'numId') : null;
+        let ilvl = numPr ? this.getVal(numPr, 'ilvl') : null;
+
+        const visited = new Set();
+        while ((numId === null || ilvl === null) && styleId && this.styles[styleId] && !visited.has(styleId)) {
+            visited.add(styleId);
+            const style = this.styles[styleId];
+            if (numId === null) numId = style.numId;
+            if (ilvl === null) ilvl = style.ilvl;
+            styleId = style.basedOn;
+        }
+
+        // numId 0 explicitly removes numbering
+        if (!numId || numId === '0') return null;
+        return { numId: numId, ilvl: ilvl || '0' };
+    }
+
+    /**
+     * Read runs of a paragraph as inline text with **bold**, *italic* and [link](url) markers
+     * @param {Element} node
+     * @param {Object} options - { plain: true } drops inline markers
+     * @returns {string}
+     */
+    readInline(node, options = {}) {
+        const segments = this.collectSegments(node, null);
+
+        // Merge neighbouring runs with identical formatting so markers don't fragment words
+        const merged = [];
+        segments.forEach(segment => {
+            const last = merged[merged.length - 1];
+            if (last && last.bold === segment.bold && last.italic === segment.italic && last.link === segment.link) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        });
+
+        if (options.plain) {
+            return merged.map(segment => segment.text).join('');
+        }
+
+        let text = '';
+        let i = 0;
+        while (i < merged.length) {
+            const link = merged[i].link;
+            if (link) {
+                let linkText = '';
+                while (i < merged.length && merged[i].link === link) {
+                    linkText += this.wrapFormatting(merged[i]);
+                    i++;
+                }
+                // Parentheses would end the markdown link target early
+                text += `[${linkText.trim()}](${link.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+            } else {
+                text += this.wrapFormatting(merged[i]);
+                i++;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Collect text segments with formatting from runs, hyperlinks and inserted text
+     * @param {Element} node
+     * @param {string|null} link
+     * @returns {Array<Object>}
+     */
+    collectSegments(node, link) {
+        const segments = [];
+
+        this.childElements(node).forEach(child => {
+            switch (child.localName) {
+                case 'r':
+                    segments.push(...this.readRun(child, link));
+                    break;
+                case 'hyperlink': {
+                    const relId = child.getAttributeNS(this.namespaces.r, 'id');
+                    const target = relId ? this.relationships[relId] : null;
+                    segments.push(...this.collectSegments(child, target || link));
+                    break;
+                }
+                case 'ins':
+                case 'smartTag':
+                case 'fldSimple':
+                    segments.push(...this.collectSegments(child, link));
+                    break;
+                case 'sdt': {
+                    const content = this.childElements(child, 'sdtContent')[0];
+                    if (content) segments.push(...this.collectSegments(content, link));
+                    break;
+                }
+            }
+        });
+
+        return segments;
+    }
+
+    readRun(run, link) {
+        const rPr = this.childElements(run, 'rPr')[0];
+        const bold = this.isToggleOn(rPr, 'b');
+        const italic = this.isToggleOn(rPr, 'i');
+        let text = '';
+
+        this.childElements(run).forEach(child => {
+            switch (child.localName) {
+                case 't':
+                    text += child.textContent;
+                    break;
+                case 'tab':
+                case 'br':
+                case 'cr':
+                    text += ' ';
+                    break;
+                case 'noBreakHyphen':
+                    text += '-';
+                    break;
+            }
+        });
+
+        return text ? [{ text: text, bold: bold, italic: italic, link: link }] : [];
+    }
+
+    normalizeWhitespace(text) {
+        // Runs of spaces would otherwise look like space-separated table columns
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    isToggleOn(rPr, localName) {
+        if (!rPr) return false;
+        const element = this.childElements(rPr, localName)[0];
+        if (!element) return false;
+        const val = element.getAttributeNS(this.namespaces.w, 'val');
+        return !val || !['0', 'false', 'off'].includes(val.toLowerCase());
+    }
+
+    wrapFormatting(segment) {
+        if (!segment.bold && !segment.italic) return segment.text;
+
+        // Keep surrounding whitespace outside the markers
+        const match = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        if (!match[2]) return segment.text;
+
+        let inner = match[2];
+        if (segment.italic) inner = `*${inner}*`;
+        if (segment.bold) inner = `**${inner}**`;
+        return match[1] + inner + match[3];
+    }
+
+    /**
+     * Read a table with its header rows, merged cells and cell alignment
+     * Rows marked "repeat as header row" form the head, otherwise the first row does
+     * @param {Element} table
+     * @returns {Object} { type: 'table', head, rows } with cells as { text, colspan, rowspan, align }
+     */
+    readTable(table) {
+        const origins = []; // grid column -> cell that a vertical merge continues
+        const rows = this.childElements(table, 'tr').map(row => {
+            const trPr = this.childElements(row, 'trPr')[0];
+            const tblHeader = trPr ? this.childElements(trPr, 'tblHeader')[0] : null;
+            const cells = [];
+            let column = trPr ? parseInt(this.getVal(trPr, 'gridBefore'), 10) || 0 : 0;
+
+            this.childElements(row, 'tc').forEach(cell => {
+                const tcPr = this.childElements(cell, 'tcPr')[0];
+                const gridSpan = tcPr ? parseInt(this.getVal(tcPr, 'gridSpan'), 10) || 1 : 1;
+                const vMerge = tcPr ? this.childElements(tcPr, 'vMerge')[0] : null;
+
+                if (vMerge && vMerge.getAttributeNS(this.namespaces.w, 'val') !== 'restart') {
+                    const origin = origins[column];
+                    if (origin) origin.rowspan = (origin.rowspan || 1) + 1;
+                    column += gridSpan;
+                    return;
+                }
+
+                const text = this.readBlocks(cell)
+                    .map(block => block.type === 'table'
+                        ? block.head.concat(block.rows).map(r => r.map(c => c.text).join(' ')).join(' ')
+                        : block.text)
+                    .join(' ')
+                    .trim();
+
+                const tableCell = { text: text };
+                if (gridSpan > 1) tableCell.colspan = gridSpan;
+                const align = this.getCellAlignment(cell);
+                if (align) tableCell.align = align;
+                cells.push(tableCell);
+
+                for (let i = column; i < column + gridSpan; i++) {
+                    origins[i] = vMerge ? tableCell : null;
+                }
+                column += gridSpan;
+            });
+
+            const isHeader = tblHeader && !['0', 'false'].includes(tblHeader.getAttributeNS(this.namespaces.w, 'val'));
+            return { cells: cells, isHeader: Boolean(isHeader) };
+        });
+
+        let headCount = rows.findIndex(row => !row.isHeader);
+        if (headCount === -1) headCount = rows.length;
+        if (headCount === 0) headCount = Math.min(rows.length, 1);
+
+        return {
+            type: 'table',
+            head: rows.slice(0, headCount).map(row => row.cells),
+            rows: rows.slice(headCount).map(row => row.cells)
+        };
+    }
+
+    /**
+     * Horizontal alignment of a cell's first paragraph
+     * @param {Element} cell
+     * @returns {string} 'center', 'right' or '' (left)
+     */
+    getCellAlignment(cell) {
+        const paragraph = this.childElements(cell, 'p')[0];
+        const pPr = paragraph ? this.childElements(paragraph, 'pPr')[0] : null;
+        const jc = pPr ? this.getVal(pPr, 'jc') : null;
+
+        if (jc === 'center') return 'center';
+        if (jc === 'right' || jc === 'end') return 'right';
+        return '';
+    }
+
+    /**
+     * Serialize blocks to the line-based text format understood by DocumentParser
+     * Headings are reported by line index so their levels come from styles, not guesses,
+     * and tables so their header rows and merged cells survive the pipe format.
+     * Pictures become "IMAGE: name | alt | caption" lines, reported by line index with their data URL,
+     * and consecutive code paragraphs one fenced code block.
+     * @param {Array<Object>} blocks
+     * @returns {Object} { text, headingLevels, tables, images }
+     */
+    toText(blocks) {
+        const lines = [];
+        const headingLevels = new Map();
+        const tables = new Map();
+        const images = new Map();
+
+        blocks.forEach((block, index) => {
+            switch (block.type) {
+                case 'code': {
+                    const previous = blocks[index - 1];
+                    const next = blocks[index + 1];
+                    if (!previous || previous.type !== 'code') lines.push('```');
+                    lines.push(...block.text.split('\n'));
+                    if (!next || next.type !== 'code') lines.push('```');
+                    break;
+                }
+                case 'heading':
+                    headingLevels.set(lines.length, block.level);
+                    lines.push(block.text);
+                    break;
+                case 'list-item':
+                    lines.push('  '.repeat(block.level) + (block.ordered ? '1. ' : '- ') + block.text);
+                    break;
+                case 'table':
+                    tables.set(lines.length, block);
+                    // One pipe cell per grid column; merged cells leave empty ones
+                    this.tableBuilder.layoutRows(block.head.concat(block.rows)).forEach(row => {
+                        const cells = Array.from(row.occupied, () => '');
+                        row.cells.forEach(({ cell, column }) => { cells[column] = cell.text.replace(/\|/g, '&#124;'); });
+                        lines.push('| ' + cells.join(' | ') + ' |');
+                    });
+                    break;
+                case 'image':
+                    if (!block.src) break;
+                    images.set(lines.length, block);
+                    lines.push(`IMAGE: ${block.name} | ${block.alt} | ${block.caption}`.replace(/[\s|]+$/, ''));
+                    break;
+                default:
+                    lines.push(block.text);
+            }
+        });
+
+        return {
+            text: lines.join('\n'),
+            headingLevels: headingLevels,
+            tables: tables,
+            images: images
+        };
+    }
+}
+
+// Export for use in main application
+window.DocxReader = DocxReader;
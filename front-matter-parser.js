@@ -0,0 +1,236 @@
+/**
+ * Front Matter Parser for Space-O Technologies Blog Format
+ * Reads per-document metadata and conversion options from YAML (---) or TOML (+++) front matter
+ * and from a METADATA section of "key: value" lines
+ */
+
+class FrontMatterParser {
+    constructor() {
+        // Front matter keys that change the conversion, as template placeholder names
+        this.ctaFields = {
+            heading: 'cta_heading',
+            description: 'cta_description',
+            buttonText: 'cta_button_text',
+            imageUrl: 'cta_image_url'
+        };
+    }
+
+    /**
+     * Take the metadata out of a draft
+     * Front matter must open the document; a METADATA section can sit anywhere and ends at a blank line
+     * (or at </METADATA> when written as a tag). Its lines are blanked rather than removed,
+     * so line numbers from DocxReader (heading levels, tables) stay valid.
+     * @param {string} content
+     * @returns {Object} { data, content, format: 'yaml'|'toml'|'metadata'|null }
+     */
+    extract(content) {
+        const lines = content.split('\n');
+        const first = lines.findIndex(line => line.trim());
+        const fence = first === -1 ? '' : lines[first].trim();
+
+        if (fence === '---' || fence === '+++') {
+            const end = lines.findIndex((line, index) => index > first && line.trim() === fence);
+            if (end !== -1) {
+                const body = lines.slice(first + 1, end);
+                return {
+                    data: fence === '---' ? this.parseYAML(body) : this.parseTOML(body),
+                    content: this.blank(lines, first, end),
+                    format: fence === '---' ? 'yaml' : 'toml'
+                };
+            }
+        }
+
+        const section = this.findMetadataSection(lines);
+        if (section) {
+            return {
+                data: this.parseYAML(lines.slice(section.start + 1, section.bodyEnd)),
+                content: this.blank(lines, section.start, section.end),
+                format: 'metadata'
+            };
+        }
+
+        return { data: {}, content: content, format: null };
+    }
+
+    /**
+     * Locate a "METADATA" / "<METADATA>" section
+     * @param {Array<string>} lines
+     * @returns {Object|null} { start, bodyEnd, end } - bodyEnd is exclusive, end is the last line to blank
+     */
+    findMetadataSection(lines) {
+        const start = lines.findIndex(line => /^(METADATA:?|<METADATA>)$/i.test(line.trim()));
+        if (start === -1) return null;
+
+        if (lines[start].trim().startsWith('<')) {
+            const close = lines.findIndex((line, index) => index > start && /^<\/METADATA>$/i.test(line.trim()));
+            const end = close === -1 ? lines.length - 1 : close;
+            return { start: start, bodyEnd: close === -1 ? lines.length : close, end: end };
+        }
+
+        let end = start + 1;
+        while (end < lines.length && lines[end].trim()) end++;
+        return { start: start, bodyEnd: end, end: end - 1 };
+    }
+
+    /**
+     * @param {Array<string>} lines
+     * @param {number} start
+     * @param {number} end - Inclusive
+     * @returns {string}
+     */
+    blank(lines, start, end) {
+        return lines.map((line, index) => index >= start && index <= end ? '' : line).join('\n');
+    }
+
+    /**
+     * The YAML the drafts use: "key: value", inline [lists], "- item" lists and one level of nested keys
+     * @param {Array<string>} lines
+     * @returns {Object}
+     */
+    parseYAML(lines) {
+        const data = {};
+        let parentKey = null;
+
+        lines.forEach(line => {
+            const text = line.trim();
+            if (!text || text.startsWith('#')) return;
+
+            const indented = /^\s/.test(line);
+            const item = text.match(/^-\s+(.*)$/);
+            const pair = text.match(/^([^:]+?):(?:\s+(.*))?$/);
+
+            if (item && parentKey) {
+                if (!Array.isArray(data[parentKey])) data[parentKey] = [];
+                data[parentKey].push(this.parseValue(item[1]));
+            } else if (pair && indented && parentKey) {
+                if (!this.isMap(data[parentKey])) data[parentKey] = {};
+                data[parentKey][this.normalizeKey(pair[1])] = this.parseValue(pair[2] || '');
+            } else if (pair) {
+                const key = this.normalizeKey(pair[1]);
+                // An empty value opens a list or a nested map on the following lines
+                data[key] = pair[2] ? this.parseValue(pair[2]) : '';
+                parentKey = pair[2] ? null : key;
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * The TOML the drafts use: "key = value" lines and [table] headers
+     * @param {Array<string>} lines
+     * @returns {Object}
+     */
+    parseTOML(lines) {
+        const data = {};
+        let table = data;
+
+        lines.forEach(line => {
+            const text = line.trim();
+            if (!text || text.startsWith('#')) return;
+
+            const header = text.match(/^\[([^\]]+)\]$/);
+            const pair = text.match(/^([^=]+?)\s*=\s*(.*)$/);
+
+            if (header) {
+                const key = this.normalizeKey(header[1]);
+                data[key] = this.isMap(data[key]) ? data[key] : {};
+                table = data[key];
+            } else if (pair) {
+                table[this.normalizeKey(pair[1].replace(/^["']|["']$/g, ''))] = this.parseValue(pair[2]);
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * @param {string} text
+     * @returns {string|number|boolean|Array}
+     */
+    parseValue(text) {
+        const value = text.trim();
+
+        const quoted = value.match(/^"(.*)"$|^'(.*)'$/);
+        if (quoted) return quoted[1] !== undefined ? quoted[1].replace(/\\"/g, '"') : quoted[2];
+
+        if (/^\[.*\]$/.test(value)) {
+            // Quoted entries may hold commas, also after the space that follows a comma
+            const inner = value.slice(1, -1).trim();
+            return inner ? (inner.match(/\s*("[^"]*"|'[^']*'|[^,]+)/g) || []).map(entry => this.parseValue(entry)).filter(entry => entry !== '') : [];
+        }
+
+        if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+        if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+        return value;
+    }
+
+    /**
+     * camelCase a key: "Publish Date", "publish_date" and "publish-date" all become "publishDate"
+     * @param {string} key
+     * @returns {string}
+     */
+    normalizeKey(key) {
+        return key.trim().split(/[\s_-]+/).map((word, index) => {
+            const lower = word === word.toUpperCase() ? word.toLowerCase() : word;
+            return index === 0
+                ? lower.charAt(0).toLowerCase() + lower.slice(1)
+                : lower.charAt(0).toUpperCase() + lower.slice(1);
+        }).join('');
+    }
+
+    isMap(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Front matter as template placeholder values: snake_case keys, nested maps flattened
+     * ({ cta: { buttonText } } becomes cta_button_text), lists joined with commas
+     * @param {Object} data
+     * @returns {Object}
+     */
+    getPlaceholders(data = {}) {
+        const placeholders = {};
+        const add = (prefix, value) => {
+            if (this.isMap(value)) {
+                Object.entries(value).forEach(([key, nested]) => add(`${prefix}_${this.toSnakeCase(key)}`, nested));
+            } else {
+                placeholders[prefix] = Array.isArray(value) ? value.join(', ') : String(value);
+            }
+        };
+        Object.entries(data).forEach(([key, value]) => add(this.toSnakeCase(key), value));
+        return placeholders;
+    }
+
+    toSnakeCase(key) {
+        return key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    }
+
+    /**
+     * Parser settings a document overrides: { tocDepth, cta: { heading, description, buttonText, imageUrl } }
+     * @param {Object} data
+     * @returns {Object}
+     */
+    getSettings(data = {}) {
+        const settings = {};
+        const placeholders = this.getPlaceholders(data);
+
+        const tocDepth = parseInt(placeholders.toc_depth, 10);
+        if (tocDepth >= 2 && tocDepth <= 4) settings.tocDepth = tocDepth;
+
+        const cta = {};
+        Object.entries(this.ctaFields).forEach(([field, placeholder]) => {
+            if (placeholders[placeholder]) cta[field] = placeholders[placeholder];
+        });
+        if (Object.keys(cta).length > 0) settings.cta = cta;
+
+        return settings;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrontMatterParser;
+} else {
+    window.FrontMatterParser = FrontMatterParser;
+}
@@ -0,0 +1,232 @@
+/**
+ * Heading Detector for Space-O Technologies Blog Format
+ * Scores plain-text lines against weighted rules; a line is a heading when its score reaches the threshold
+ */
+
+class HeadingDetector {
+    /**
+     * @param {Object} options - { threshold, borderlineMargin, rules: { ruleName: false | { weight, enabled } } }
+     */
+    constructor(options = {}) {
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.5;
+        // Headings scoring this close to the threshold (either side) are worth a second look
+        this.borderlineMargin = options.borderlineMargin !== undefined ? options.borderlineMargin : 0.1;
+
+        // Short words that stay lowercase in Title Case headings
+        this.minorWords = new Set([
+            'a', 'an', 'the', 'and', 'or', 'but', 'nor', 'for', 'of', 'on', 'in', 'at', 'to', 'by',
+            'with', 'from', 'as', 'vs', 'via', 'is', 'are', 'into', 'your', 'our', 'its', 'you'
+        ]);
+
+        this.rules = this.createRules();
+        Object.entries(options.rules || {}).forEach(([name, setting]) => this.configureRule(name, setting));
+    }
+
+    /**
+     * Heading rules; positive weights vote for a heading, negative weights against it
+     * @returns {Object} rule name -> { weight, enabled, test(context) }
+     */
+    createRules() {
+        return {
+            // **Whole line bold** (a little text around the bold part is allowed)
+            bold: {
+                weight: 0.6,
+                enabled: true,
+                test: context => /\*\*(.+?)\*\*|<strong>(.+?)<\/strong>/i.test(context.text) &&
+                    context.text.replace(/\*\*.*?\*\*|<strong>.*?<\/strong>/gi, '').trim().length <= 10
+            },
+            // ALL CAPS lines of a few words
+            allCaps: {
+                weight: 0.5,
+                enabled: true,
+                test: context => context.plain.length > 5 && context.words.length <= 8 &&
+                    /^[A-Z\s\-:&]+$/.test(context.plain)
+            },
+            // Known blog section names (Key Takeaways, FAQ, Table of Contents, ...)
+            sectionName: {
+                weight: 0.6,
+                enabled: true,
+                test: context => Boolean(this.sectionDetector.detectSectionType(context.plain))
+            },
+            // Numbered sections (1. Introduction, 2.1 Setup)
+            numbered: {
+                weight: 0.35,
+                enabled: true,
+                test: context => /^\d+(\.\d+)*\.?\s+[A-Z]/.test(context.text)
+            },
+            // Most significant words capitalized; short words (the, and, of) don't count
+            titleCase: {
+                weight: 0.4,
+                enabled: true,
+                test: context => {
+                    const significant = context.words.filter(word => /^[a-z]/i.test(word) && !this.minorWords.has(word.toLowerCase()));
+                    const capitalized = significant.filter(word => /^[A-Z]/.test(word));
+                    return context.words.length <= 10 && significant.length >= 1 &&
+                        capitalized.length >= significant.length * 0.75;
+                }
+            },
+            // Questions (FAQ entries, "What is ...?" subsections)
+            question: {
+                weight: 0.25,
+                enabled: true,
+                test: context => context.plain.endsWith('?') && context.plain.length > 10 && context.plain.length < 80
+            },
+            // Labels ending in a colon (Section Title:)
+            colon: {
+                weight: 0.15,
+                enabled: true,
+                test: context => context.plain.endsWith(':') && context.plain.length > 5 &&
+                    context.plain.length < 80 && /^[A-Z]/.test(context.plain)
+            },
+            short: {
+                weight: 0.1,
+                enabled: true,
+                test: context => context.plain.length <= 70 && context.words.length <= 10
+            },
+            blankBefore: {
+                weight: 0.05,
+                enabled: true,
+                test: context => context.previous === undefined || !context.previous.trim()
+            },
+            blankAfter: {
+                weight: 0.05,
+                enabled: true,
+                test: context => context.next !== undefined && !context.next.trim()
+            },
+            // Followed by a paragraph or list rather than by another short line
+            followedByContent: {
+                weight: 0.1,
+                enabled: true,
+                test: context => Boolean(context.nextContent) &&
+                    (context.nextContent.length >= 60 || /^([-•*◦▪‣○■●]|\d+[.)])\s+/.test(context.nextContent))
+            },
+            // Sentences end in punctuation, headings don't
+            sentenceEnd: {
+                weight: -0.6,
+                enabled: true,
+                test: context => /[.!,;]$/.test(context.plain)
+            },
+            long: {
+                weight: -0.8,
+                enabled: true,
+                test: context => context.plain.length > 100 || context.words.length > 15
+            },
+            lowercaseStart: {
+                weight: -0.4,
+                enabled: true,
+                test: context => /^[a-z]/.test(context.plain)
+            },
+            // Bullets are list items, not headings
+            bulletMarker: {
+                weight: -1,
+                enabled: true,
+                test: context => /^[-•*◦▪‣○■●]\s+/.test(context.text)
+            },
+            // Pipe or tab separated cells are table rows
+            tableRow: {
+                weight: -1,
+                enabled: true,
+                test: context => context.text.split('|').length >= 3 || context.text.includes('\t')
+            }
+        };
+    }
+
+    /**
+     * Enable, disable or reweight a rule
+     * @param {string} name
+     * @param {boolean|Object} setting - true/false, or { weight, enabled }
+     */
+    configureRule(name, setting) {
+        const rule = this.rules[name];
+        if (!rule) {
+            throw new Error(`Unknown heading rule: ${name}`);
+        }
+
+        if (typeof setting === 'boolean') {
+            rule.enabled = setting;
+            return;
+        }
+        if (setting.weight !== undefined) rule.weight = setting.weight;
+        if (setting.enabled !== undefined) rule.enabled = setting.enabled;
+    }
+
+    /**
+     * Score a line in the context of its neighbors
+     * @param {Array<string>} lines
+     * @param {number} index
+     * @returns {Object} { isHeading, score, rules, borderline } - rules lists the rules that fired
+     */
+    detect(lines, index) {
+        const context = this.getContext(lines, index);
+        const fired = [];
+        let score = 0;
+
+        Object.entries(this.rules).forEach(([name, rule]) => {
+            if (rule.enabled && rule.test(context)) {
+                score += rule.weight;
+                fired.push(name);
+            }
+        });
+
+        score = Math.round(score * 100) / 100;
+
+        return {
+            isHeading: score >= this.threshold,
+            score: score,
+            rules: fired,
+            borderline: Math.round(Math.abs(score - this.threshold) * 100) / 100 < this.borderlineMargin
+        };
+    }
+
+    /**
+     * Read explicit heading markup written by the author: "H2: Title", "[H3] Title" or "## Title"
+     * H1 becomes H2 and levels past H4 become H4, like everywhere else on the blog
+     * Only the colon form counts, so prose like "H1-B visa holders..." or "H2. Hydrogen is..." stays prose
+     * @param {string} line
+     * @returns {Object|null} { level, text }
+     */
+    getExplicitHeading(line) {
+        const text = line.trim();
+        const match = text.match(/^H([1-6])\s*:\s*(\S.*)$/i) ||
+            text.match(/^\[H([1-6])\]\s*(\S.*)$/i) ||
+            text.match(/^(#{1,6})\s+(\S.*?)(\s+#+)?$/);
+        if (!match) return null;
+
+        const level = /^\d$/.test(match[1]) ? parseInt(match[1], 10) : match[1].length;
+        return { level: Math.min(Math.max(level, 2), 4), text: match[2].trim() };
+    }
+
+    /**
+     * @param {Array<string>} lines
+     * @param {number} index
+     * @returns {Object} { text, plain, words, previous, next, nextContent }
+     */
+    getContext(lines, index) {
+        const text = lines[index].trim();
+        // Text without numbering and bold markers
+        const plain = text
+            .replace(/^\d+(\.\d+)*\.?\s+/, '')
+            .replace(/\*\*|<\/?strong>/gi, '')
+            .trim();
+
+        let nextIndex = index + 1;
+        while (nextIndex < lines.length && !lines[nextIndex].trim()) nextIndex++;
+
+        return {
+            text: text,
+            plain: plain,
+            words: plain.split(/\s+/).filter(word => word),
+            previous: lines[index - 1],
+            next: lines[index + 1],
+            nextContent: nextIndex < lines.length ? lines[nextIndex].trim() : null
+        };
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadingDetector;
+} else {
+    window.HeadingDetector = HeadingDetector;
+}
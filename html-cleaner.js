@@ -0,0 +1,234 @@
+/**
+ * HTML Cleaner for Space-O Technologies Blog Format
+ * Tidies rendered blog HTML on a parsed DOM; every rule is scoped to real duplicates and reports what it removed
+ */
+
+class HTMLCleaner {
+    /**
+     * @param {Object} options - { rules: { ruleName: false } } turns rules off
+     */
+    constructor(options = {}) {
+        // Whitespace inside these elements is content
+        this.preservedTags = ['PRE', 'CODE', 'TEXTAREA', 'SCRIPT', 'STYLE'];
+
+        this.rules = this.createRules();
+        Object.entries(options.rules || {}).forEach(([name, enabled]) => this.configureRule(name, enabled));
+    }
+
+    /**
+     * Cleanup rules in the order they run; each returns messages describing what it removed
+     * @returns {Object} rule name -> { enabled, apply(root) }
+     */
+    createRules() {
+        return {
+            // Only the first table of contents is kept
+            duplicateTOC: {
+                enabled: true,
+                apply: root => this.removeDuplicateTOC(root)
+            },
+            // Later FAQ sections are merged into the first one (questions it already has are dropped)
+            duplicateFAQ: {
+                enabled: true,
+                apply: root => this.mergeFAQSections(root)
+            },
+            // A heading repeated right after itself (same level and text, nothing in between)
+            repeatedHeadings: {
+                enabled: true,
+                apply: root => this.removeRepeatedHeadings(root)
+            },
+            // Paragraphs, list items and lists with no content
+            emptyElements: {
+                enabled: true,
+                apply: root => this.removeEmptyElements(root)
+            },
+            // Runs of <br> become a single <br>
+            repeatedBreaks: {
+                enabled: true,
+                apply: root => this.removeRepeatedBreaks(root)
+            },
+            // Runs of whitespace and &nbsp; collapse, except inside <pre>, <code> and <textarea>
+            whitespace: {
+                enabled: true,
+                apply: root => this.collapseWhitespace(root)
+            }
+        };
+    }
+
+    /**
+     * Enable or disable a rule
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    configureRule(name, enabled) {
+        const rule = this.rules[name];
+        if (!rule) {
+            throw new Error(`Unknown cleanup rule: ${name}`);
+        }
+        rule.enabled = Boolean(enabled);
+    }
+
+    /**
+     * Run the enabled rules on a parsed document
+     * @param {Element} root - Usually document.body
+     * @returns {Array<Object>} Report entries: { rule, message }
+     */
+    clean(root) {
+        const report = [];
+        Object.entries(this.rules).forEach(([name, rule]) => {
+            if (!rule.enabled) return;
+            rule.apply(root).forEach(message => report.push({ rule: name, message: message }));
+        });
+        return report;
+    }
+
+    /**
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    removeDuplicateTOC(root) {
+        const tocs = Array.from(root.querySelectorAll('.blog_index_cover')).slice(1);
+        tocs.forEach(toc => toc.remove());
+        return tocs.length ? [`Removed ${tocs.length} extra table(s) of contents`] : [];
+    }
+
+    /**
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    mergeFAQSections(root) {
+        const [first, ...others] = Array.from(root.querySelectorAll('.faq_blog'));
+        if (!first) return [];
+
+        const questions = new Set(Array.from(first.querySelectorAll('h3')).map(question => this.getText(question)));
+        const messages = [];
+
+        others.forEach(section => {
+            let moved = 0;
+            let skipping = false;
+            Array.from(section.children).forEach((child, index) => {
+                // The section's own "Frequently Asked Questions" title
+                if (index === 0 && child.tagName === 'H2') return;
+                if (child.tagName === 'H3') {
+                    skipping = questions.has(this.getText(child));
+                    if (!skipping) {
+                        questions.add(this.getText(child));
+                        moved++;
+                    }
+                }
+                if (!skipping) first.appendChild(child);
+            });
+            section.remove();
+            messages.push(`Merged a repeated FAQ section into the first one (${moved} new question(s) kept)`);
+        });
+        return messages;
+    }
+
+    /**
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    removeRepeatedHeadings(root) {
+        const messages = [];
+        Array.from(root.querySelectorAll('h1, h2, h3, h4, h5, h6')).forEach(heading => {
+            const previous = this.getPreviousElement(heading);
+            if (previous && previous.tagName === heading.tagName && this.getText(previous) === this.getText(heading)) {
+                heading.remove();
+                messages.push(`Removed repeated heading "${this.getText(heading)}"`);
+            }
+        });
+        return messages;
+    }
+
+    /**
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    removeEmptyElements(root) {
+        const counts = {};
+        const remove = element => {
+            const tag = element.tagName.toLowerCase();
+            counts[tag] = (counts[tag] || 0) + 1;
+            element.remove();
+        };
+
+        Array.from(root.querySelectorAll('p, li'))
+            .filter(element => element.children.length === 0 && !element.textContent.trim())
+            .forEach(remove);
+        Array.from(root.querySelectorAll('ul, ol'))
+            .filter(list => list.children.length === 0 && !list.textContent.trim())
+            .forEach(remove);
+
+        const removed = Object.entries(counts).map(([tag, count]) => `${count} <${tag}>`);
+        return removed.length ? [`Removed empty elements: ${removed.join(', ')}`] : [];
+    }
+
+    /**
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    removeRepeatedBreaks(root) {
+        const breaks = Array.from(root.querySelectorAll('br')).filter(lineBreak => {
+            const previous = this.getPreviousElement(lineBreak);
+            return previous && previous.tagName === 'BR';
+        });
+        breaks.forEach(lineBreak => lineBreak.remove());
+        return breaks.length ? [`Removed ${breaks.length} repeated line break(s)`] : [];
+    }
+
+    /**
+     * Formatting only, so nothing is reported
+     * @param {Element} root
+     * @returns {Array<string>}
+     */
+    collapseWhitespace(root) {
+        const walker = root.ownerDocument.createTreeWalker(root, 4); // NodeFilter.SHOW_TEXT
+        const textNodes = [];
+        while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+        textNodes
+            .filter(node => !this.isPreserved(node))
+            .forEach(node => {
+                node.nodeValue = node.nodeValue
+                    .replace(/[^\S\u00a0]{2,}/g, ' ')
+                    .replace(/\u00a0{2,}/g, '\u00a0');
+            });
+        return [];
+    }
+
+    /**
+     * Whether a node sits inside an element whose whitespace matters
+     * @param {Node} node
+     * @returns {boolean}
+     */
+    isPreserved(node) {
+        for (let parent = node.parentNode; parent && parent.tagName; parent = parent.parentNode) {
+            if (this.preservedTags.includes(parent.tagName.toUpperCase())) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Previous element sibling, or null when text sits in between
+     * @param {Element} element
+     * @returns {Element|null}
+     */
+    getPreviousElement(element) {
+        let previous = element.previousSibling;
+        while (previous && previous.nodeType !== 1) {
+            if (previous.nodeType === 3 && previous.nodeValue.trim()) return null;
+            previous = previous.previousSibling;
+        }
+        return previous;
+    }
+
+    getText(element) {
+        return element.textContent.replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLCleaner;
+} else {
+    window.HTMLCleaner = HTMLCleaner;
+}
@@ -0,0 +1,599 @@
+/**
+ * HTML Importer for Space-O Technologies Blog Format
+ * Normalizes HTML from Google Docs, WordPress, Notion or Word (mammoth) into the document model
+ */
+
+class HTMLImporter {
+    constructor() {
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.tableBuilder = new (typeof TableBuilder !== 'undefined' ? TableBuilder : require('./table-builder'))();
+        this.anchors = new (typeof AnchorService !== 'undefined' ? AnchorService : require('./anchor-service'))();
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
+
+        // Elements that never carry content
+        this.removedTags = ['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'SVG', 'BUTTON', 'FORM', 'INPUT'];
+
+        // Elements that start a new block; everything else is inline content
+        this.blockTags = [
+            'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+            'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+            'SECTION', 'TABLE', 'UL', 'BODY'
+        ];
+    }
+
+    /**
+     * Import a parsed HTML document (or any root element) into the document model
+     * @param {Document|Element} root
+     * @returns {Object} Document node
+     */
+    importDocument(root) {
+        const container = root.body || root;
+
+        // Google Docs exports style text through classes (.c3{font-weight:700}) in a <style> block
+        this.classStyles = this.readClassStyles(root);
+        // Links to headings point at the exported ids (#h.abc123), headings get new ids
+        this.assignHeadingIds(container);
+
+        this.removeJunk(container);
+
+        const blocks = this.tableBuilder.attachCaptions(this.readBlocks(Array.from(container.childNodes)));
+        return this.model.document(this.sectionDetector.groupSections(blocks));
+    }
+
+    /**
+     * Collect class selectors and their declarations from <style> elements
+     * @param {Document|Element} root
+     * @returns {Map<string, string>} class name -> declarations
+     */
+    readClassStyles(root) {
+        const classStyles = new Map();
+        Array.from(root.querySelectorAll('style')).forEach(style => {
+            const rulePattern = /([^{}]+)\{([^{}]*)\}/g;
+            let rule;
+            while ((rule = rulePattern.exec(style.textContent)) !== null) {
+                rule[1].split(',').forEach(selector => {
+                    const classMatch = selector.trim().match(/^\.([\w-]+)$/);
+                    if (classMatch) {
+                        classStyles.set(classMatch[1], (classStyles.get(classMatch[1]) || '') + rule[2] + ';');
+                    }
+                });
+            }
+        });
+        return classStyles;
+    }
+
+    /**
+     * Pick unique anchors for all headings up front, so links that come before a heading can point at it
+     * Ids that already are readable slugs are kept; exported ids (h.abc123, _Toc123) are replaced, and
+     * a heading that opens an FAQ gets the id of the H2 the FAQ template renders in its place
+     * Sets headingIds (existing id -> new id) and headingAnchors (element -> new id)
+     * @param {Element} container
+     */
+    assignHeadingIds(container) {
+        const usedIds = new Set();
+        this.headingIds = new Map();
+        this.headingAnchors = new Map();
+
+        Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6')).forEach(heading => {
+            const text = this.normalizeText(heading.textContent);
+            if (!text) return;
+
+            const base = this.sectionDetector.detectSectionType(text) === 'faq' ? this.anchors.faqHeadingId :
+                this.anchors.isSlug(heading.id) ? heading.id : this.anchors.slugify(text);
+            const id = this.anchors.unique(base, usedIds);
+            this.headingAnchors.set(heading, id);
+            if (heading.id) this.headingIds.set(heading.id, id);
+        });
+    }
+
+    /**
+     * Remove scripts, styles, comments and other non-content nodes
+     * @param {Element} container
+     */
+    removeJunk(container) {
+        const walk = node => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === 8 || (child.nodeType === 1 && this.removedTags.includes(child.tagName.toUpperCase()))) {
+                    child.remove();
+                } else if (child.nodeType === 1) {
+                    walk(child);
+                }
+            });
+        };
+        walk(container);
+    }
+
+    /**
+     * Read a run of sibling nodes into blocks
+     * Containers (div, section, article, wrapper spans) are flattened
+     * @param {Array<Node>} nodes
+     * @returns {Array<Object>} Blocks
+     */
+    readBlocks(nodes) {
+        const blocks = [];
+        let inlineNodes = [];
+        // Lists of the current Google Docs list run, by nesting level
+        let listLevels = [];
+        // Code block that consecutive monospace paragraphs are added to
+        let codeRun = null;
+
+        // Loose text and inline elements between blocks form a paragraph
+        const flushInline = () => {
+            if (inlineNodes.length > 0) {
+                const paragraphs = this.readParagraph(inlineNodes);
+                if (paragraphs.length > 0) listLevels = [];
+                blocks.push(...paragraphs);
+                inlineNodes = [];
+            }
+        };
+
+        nodes.forEach(node => {
+            if (node.nodeType === 3) {
+                inlineNodes.push(node);
+                return;
+            }
+            if (node.nodeType !== 1) return;
+
+            const tag = node.tagName.toUpperCase();
+
+            if (!this.isBlock(node)) {
+                if (tag === 'IMG') {
+                    flushInline();
+                    const image = this.readImage(node);
+                    if (image) blocks.push(image);
+                } else {
+                    inlineNodes.push(node);
+                }
+                return;
+            }
+
+            flushInline();
+
+            if (tag === 'UL' || tag === 'OL') {
+                const level = this.getListLevel(node);
+                if (level === null) {
+                    blocks.push(this.readList(node));
+                    listLevels = [];
+                } else {
+                    listLevels = this.addList(blocks, this.readList(node), level, listLevels);
+                }
+                return;
+            }
+            listLevels = [];
+
+            switch (tag) {
+                case 'H1':
+                case 'H2':
+                case 'H3':
+                case 'H4':
+                case 'H5':
+                case 'H6': {
+                    const heading = this.readHeading(node);
+                    if (heading) blocks.push(heading);
+                    break;
+                }
+                case 'P':
+                    // Google Docs marks the document title with a class instead of a heading
+                    if (node.classList.contains('title')) {
+                        const title = this.readHeading(node, 1);
+                        if (title) blocks.push(title);
+                    } else if (this.isMonospace(node)) {
+                        // Code pasted into Google Docs or Word is a run of paragraphs in a monospace font
+                        const previous = blocks[blocks.length - 1];
+                        if (previous && previous === codeRun) {
+                            previous.code += '\n' + this.readCodeText(node);
+                        } else {
+                            codeRun = this.model.code(this.readCodeText(node), '');
+                            blocks.push(codeRun);
+                        }
+                    } else {
+                        blocks.push(...this.readParagraph(Array.from(node.childNodes)));
+                    }
+                    break;
+                case 'TABLE': {
+                    const table = this.readTable(node);
+                    if (table) blocks.push(table);
+                    break;
+                }
+                case 'PRE':
+                    blocks.push(this.readCode(node));
+                    break;
+                case 'BLOCKQUOTE': {
+                    const children = this.readBlocks(Array.from(node.childNodes));
+                    if (children.length > 0) blocks.push(this.model.blockquote(children));
+                    break;
+                }
+                case 'FIGURE':
+                    blocks.push(...this.readFigure(node));
+                    break;
+                case 'HR':
+                    break;
+                default:
+                    blocks.push(...this.readBlocks(Array.from(node.childNodes)));
+            }
+        });
+
+        flushInline();
+
+        return blocks;
+    }
+
+    /**
+     * Nesting level of a Google Docs list (<ul class="lst-kix_abc-1">)
+     * @param {Element} element
+     * @returns {number|null} null for other lists
+     */
+    getListLevel(element) {
+        const levelMatch = element.className.match(/lst-kix_[\w-]+-(\d+)/);
+        return levelMatch ? parseInt(levelMatch[1], 10) : null;
+    }
+
+    /**
+     * Add a list to the blocks. Google Docs exports nested lists as flat sibling lists with
+     * a level class, so deeper lists are attached to the last item one level up and
+     * continuations of a level are merged into the list already open at that level.
+     * @param {Array<Object>} blocks
+     * @param {Object} list
+     * @param {number} level
+     * @param {Array<Object>} listLevels - Open lists by level
+     * @returns {Array<Object>} Updated open lists
+     */
+    addList(blocks, list, level, listLevels) {
+        const openList = listLevels[level];
+        const parentList = level > 0 ? listLevels[level - 1] : null;
+
+        if (openList && openList.ordered === list.ordered) {
+            openList.items.push(...list.items);
+        } else if (parentList && parentList.items.length > 0) {
+            parentList.items[parentList.items.length - 1].children.push(list);
+        } else {
+            blocks.push(list);
+            return [list];
+        }
+
+        const levels = listLevels.slice(0, level + 1);
+        levels[level] = openList && openList.ordered === list.ordered ? openList : list;
+        return levels;
+    }
+
+    /**
+     * Check whether an element starts a block (inline wrappers around blocks count as blocks)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isBlock(element) {
+        if (this.blockTags.includes(element.tagName.toUpperCase())) return true;
+        // e.g. Google Docs wraps the whole document in <b id="docs-internal-guid-...">
+        return this.blockTags.some(tag => element.getElementsByTagName(tag.toLowerCase()).length > 0);
+    }
+
+    /**
+     * Read a heading (h1 becomes h2, h5/h6 become h4)
+     * @param {Element} element
+     * @param {number} sourceLevel - Level for elements that are not h1-h6
+     * @returns {Object|null}
+     */
+    readHeading(element, sourceLevel = parseInt(element.tagName.substring(1), 10)) {
+        const text = this.normalizeText(element.textContent);
+        if (!text) return null;
+
+        const level = Math.min(Math.max(sourceLevel, 2), 4);
+        const id = (this.headingAnchors && this.headingAnchors.get(element)) || this.anchors.slugify(text);
+        return this.model.heading(level, this.sanitizer.escapeText(text), id);
+    }
+
+    /**
+     * Read paragraph content; a paragraph holding only an image becomes an image block
+     * @param {Array<Node>} nodes
+     * @returns {Array<Object>}
+     */
+    readParagraph(nodes) {
+        const images = [];
+        nodes.forEach(node => {
+            if (node.nodeType !== 1) return;
+            if (node.tagName.toUpperCase() === 'IMG') images.push(node);
+            else images.push(...Array.from(node.getElementsByTagName('img')));
+        });
+
+        const text = nodes.map(node => this.normalizeText(node.textContent)).join('').trim();
+        if (!text && images.length > 0) {
+            return images.map(image => this.readImage(image)).filter(image => image);
+        }
+
+        const html = this.readInline(nodes);
+        return html ? [this.model.paragraph(html, true)] : [];
+    }
+
+    /**
+     * Read a list with nested lists as item children
+     * @param {Element} element
+     * @returns {Object}
+     */
+    readList(element) {
+        const list = this.model.list(element.tagName.toUpperCase() === 'OL');
+
+        Array.from(element.children)
+            .filter(child => child.tagName.toUpperCase() === 'LI')
+            .forEach(item => {
+                const inlineNodes = [];
+                const children = [];
+                let text = '';
+
+                Array.from(item.childNodes).forEach(node => {
+                    // Indentation before the first paragraph of a pretty-printed item
+                    if (node.nodeType === 3 && !node.textContent.trim() && inlineNodes.length === 0) return;
+
+                    const tag = node.nodeType === 1 ? node.tagName.toUpperCase() : '';
+                    if (tag === 'UL' || tag === 'OL') {
+                        children.push(this.readList(node));
+                    } else if (tag === 'P' && !text && inlineNodes.length === 0) {
+                        // The first paragraph is the item text, later blocks are item content
+                        text = this.readInline(Array.from(node.childNodes));
+                    } else if (node.nodeType === 1 && this.isBlock(node)) {
+                        children.push(...this.readBlocks([node]));
+                    } else {
+                        inlineNodes.push(node);
+                    }
+                });
+
+                if (inlineNodes.length > 0) {
+                    text = [text, this.readInline(inlineNodes)].filter(part => part).join(' ');
+                }
+
+                if (text || children.length > 0) {
+                    list.items.push(this.model.listItem(text, children, true));
+                }
+            });
+
+        return list;
+    }
+
+    /**
+     * Read a table with its caption, merged cells and alignment
+     * Header rows come from <thead>, otherwise the first row is the header like in text tables
+     * @param {Element} element
+     * @returns {Object|null}
+     */
+    readTable(element) {
+        const rows = Array.from(element.getElementsByTagName('tr'))
+            // Skip rows of nested tables
+            .filter(row => row.closest('table') === element)
+            .map(row => ({
+                inHead: row.parentElement.tagName.toUpperCase() === 'THEAD',
+                cells: Array.from(row.children)
+                    .filter(cell => ['TD', 'TH'].includes(cell.tagName.toUpperCase()))
+                    .map(cell => this.model.tableCell(this.readInline(Array.from(cell.childNodes)), {
+                        colspan: parseInt(cell.getAttribute('colspan'), 10) || 1,
+                        rowspan: parseInt(cell.getAttribute('rowspan'), 10) || 1,
+                        align: this.getCellAlignment(cell)
+                    }))
+            }))
+            .filter(row => row.cells.length > 0);
+
+        if (rows.length === 0) return null;
+
+        let headCount = rows.findIndex(row => !row.inHead);
+        if (headCount === -1) headCount = rows.length;
+        if (headCount === 0) headCount = 1;
+
+        const caption = Array.from(element.children).find(child => child.tagName.toUpperCase() === 'CAPTION');
+
+        return this.model.table(
+            rows.slice(0, headCount).map(row => row.cells),
+            rows.slice(headCount).map(row => row.cells),
+            { caption: caption ? this.readInline(Array.from(caption.childNodes)) : '' }
+        );
+    }
+
+    /**
+     * Cell alignment from text-align styles or the align attribute
+     * Google Docs aligns the paragraph inside the cell rather than the cell itself
+     * @param {Element} cell
+     * @returns {string} 'center', 'right' or '' (left)
+     */
+    getCellAlignment(cell) {
+        const paragraph = cell.querySelector('p');
+        const style = [cell, paragraph].filter(Boolean).map(element => this.getStyle(element)).join(';');
+        const declaration = (style.match(/text-align:\s*\w+/g) || []).pop();
+        const align = declaration
+            ? declaration.replace(/text-align:\s*/, '')
+            : (cell.getAttribute('align') || '').toLowerCase();
+        return ['center', 'right'].includes(align) ? align : '';
+    }
+
+    /**
+     * Read a preformatted block as code
+     * @param {Element} element
+     * @returns {Object}
+     */
+    readCode(element) {
+        const code = element.querySelector('code') || element;
+        const classMatch = `${code.className} ${element.className}`.match(/(?:language|lang)-([\w+#-]+)/);
+        // mammoth writes line breaks inside a code paragraph as <br>
+        return this.model.code(this.readCodeText(code).replace(/\n$/, ''), classMatch ? classMatch[1] : '');
+    }
+
+    /**
+     * Whether all text of a paragraph is set in a monospace font (Google Docs styles it through classes)
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isMonospace(element) {
+        const isMonospaceNode = node => node.tagName.toUpperCase() === 'CODE' ||
+            /font-family:[^;]*(monospace|courier|consolas|menlo|monaco|lucida console|fira code|source code)/.test(this.getStyle(node));
+        const texts = [];
+        const collect = node => Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === 3 && child.textContent.trim()) texts.push(child);
+            else if (child.nodeType === 1) collect(child);
+        });
+        collect(element);
+
+        return texts.length > 0 && texts.every(text => {
+            for (let node = text.parentNode; node && node !== element.parentNode; node = node.parentNode) {
+                if (isMonospaceNode(node)) return true;
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Text of a code paragraph as written: non-breaking spaces (indentation) become spaces, <br> a new line
+     * @param {Element} element
+     * @returns {string}
+     */
+    readCodeText(element) {
+        return Array.from(element.childNodes).map(node => {
+            if (node.nodeType === 3) return node.textContent.replace(/\u00a0/g, ' ');
+            if (node.nodeType !== 1) return '';
+            return node.tagName.toUpperCase() === 'BR' ? '\n' : this.readCodeText(node);
+        }).join('');
+    }
+
+    /**
+     * Read a figure (image with caption, or a wrapped table)
+     * @param {Element} element
+     * @returns {Array<Object>}
+     */
+    readFigure(element) {
+        const image = element.querySelector('img');
+        const caption = element.querySelector('figcaption');
+        const table = element.querySelector('table');
+
+        if (table) {
+            // A figcaption of a wrapped table becomes its caption
+            const block = this.readTable(table);
+            if (block && caption && !block.caption) block.caption = this.readInline(Array.from(caption.childNodes));
+            return block ? [block] : [];
+        }
+        if (!image) {
+            return this.readBlocks(Array.from(element.childNodes));
+        }
+
+        const block = this.readImage(image, caption ? this.normalizeText(caption.textContent) : '');
+        return block ? [block] : [];
+    }
+
+    /**
+     * @param {Element} image
+     * @param {string} caption
+     * @returns {Object|null}
+     */
+    readImage(image, caption = '') {
+        const src = image.getAttribute('src');
+        if (!src || !this.sanitizer.isSafeURL(src, true)) return null;
+        return this.model.image(src, image.getAttribute('alt') || '', caption, {
+            width: Number(image.getAttribute('width')),
+            height: Number(image.getAttribute('height'))
+        });
+    }
+
+    /**
+     * Convert inline nodes to clean inline HTML (strong, em, links, code, line breaks)
+     * Inline styles from Google Docs spans are turned into strong/em before being dropped
+     * @param {Array<Node>} nodes
+     * @returns {string}
+     */
+    readInline(nodes) {
+        const html = nodes.map(node => this.readInlineNode(node)).join('');
+
+        return html
+            .replace(/\s+/g, ' ')
+            .replace(/(\s*<br>\s*)+$/g, '')
+            .replace(/^(\s*<br>\s*)+/g, '')
+            .replace(/<(strong|em)>\s*<\/\1>/g, '')
+            .trim();
+    }
+
+    readInlineNode(node) {
+        if (node.nodeType === 3) {
+            return this.sanitizer.escapeText(node.textContent);
+        }
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.tagName.toUpperCase();
+        const inner = () => Array.from(node.childNodes).map(child => this.readInlineNode(child)).join('');
+
+        switch (tag) {
+            case 'BR':
+                return '<br>';
+            case 'IMG': {
+                const src = this.sanitizer.escapeURL(node.getAttribute('src'), true);
+                return src ? `<img src="${src}" alt="${this.sanitizer.escapeAttribute(node.getAttribute('alt') || '')}" />` : '';
+            }
+            case 'A': {
+                // javascript: and other script URLs leave only the link text
+                const href = this.sanitizer.escapeURL(this.resolveHref(node.getAttribute('href')));
+                const content = inner();
+                if (!href || !content.trim()) return content;
+                return `<a href="${href}">${content}</a>`;
+            }
+            case 'CODE':
+                return `<code>${this.sanitizer.escapeText(node.textContent)}</code>`;
+            case 'P':
+            case 'DIV':
+            case 'LI':
+                // Paragraphs inside table cells and list items become line breaks
+                return inner() + '<br>';
+            default:
+                break;
+        }
+
+        const style = this.getStyle(node);
+        // The last declaration wins (inline style over class style)
+        const weight = (style.match(/font-weight:\s*\w+/g) || ['']).pop().replace(/font-weight:\s*/, '');
+        const isBold = ['B', 'STRONG'].includes(tag)
+            ? weight !== 'normal' && weight !== '400'
+            : weight === 'bold' || parseInt(weight, 10) >= 600;
+        const isItalic = ['I', 'EM'].includes(tag) || /font-style:\s*italic/.test(style);
+
+        let content = inner();
+        if (isItalic && content.trim()) content = `<em>${content}</em>`;
+        if (isBold && content.trim()) content = `<strong>${content}</strong>`;
+        return content;
+    }
+
+    /**
+     * Inline style of an element including styles applied through its classes
+     * @param {Element} element
+     * @returns {string}
+     */
+    getStyle(element) {
+        const classStyles = Array.from(element.classList)
+            .map(className => (this.classStyles && this.classStyles.get(className)) || '')
+            .join(';');
+        return `${classStyles};${element.getAttribute('style') || ''}`.toLowerCase();
+    }
+
+    /**
+     * Undo Google redirect links and point heading links at the new heading ids
+     * @param {string|null} href
+     * @returns {string|null}
+     */
+    resolveHref(href) {
+        if (!href) return href;
+
+        const redirectMatch = href.match(/^https?:\/\/(?:www\.)?google\.com\/url\?(.*)$/);
+        if (redirectMatch) {
+            const target = new URLSearchParams(redirectMatch[1]).get('q');
+            if (target) return target;
+        }
+
+        if (href.startsWith('#') && this.headingIds && this.headingIds.has(href.substring(1))) {
+            return '#' + this.headingIds.get(href.substring(1));
+        }
+
+        return href;
+    }
+
+    normalizeText(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLImporter;
+} else {
+    window.HTMLImporter = HTMLImporter;
+}
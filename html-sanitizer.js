@@ -0,0 +1,200 @@
+/**
+ * HTML Sanitizer for Space-O Technologies Blog Format
+ * Escapes draft text for HTML text and attribute contexts, and reduces untrusted HTML (AI output,
+ * imported pages, inline HTML in Markdown) to the elements and attributes the blog markup uses
+ */
+
+class HTMLSanitizer {
+    constructor() {
+        // Kept elements and their attributes; '*' lists the attributes every kept element may carry
+        this.allowedTags = {
+            '*': ['id', 'class', 'title', 'dir', 'lang', 'style'],
+            'a': ['href', 'target', 'rel'],
+            'abbr': [], 'b': [], 'blockquote': [], 'br': [], 'caption': [], 'cite': [], 'code': [],
+            'col': ['span'], 'colgroup': ['span'], 'dd': [], 'del': [], 'div': [], 'dl': [], 'dt': [],
+            'em': [], 'figcaption': [], 'figure': [], 'h1': [], 'h2': [], 'h3': [], 'h4': [], 'h5': [], 'h6': [],
+            'hr': [], 'i': [], 'ins': [], 'kbd': [], 'li': ['value'], 'mark': [], 'p': [], 'pre': [],
+            's': [], 'small': [], 'span': [], 'strong': [], 'sub': [], 'summary': [], 'sup': [], 'u': [], 'ul': [],
+            'ol': ['start', 'type', 'reversed'],
+            'img': ['src', 'alt', 'width', 'height', 'loading'],
+            'table': ['border', 'cellspacing', 'cellpadding'],
+            'thead': [], 'tbody': [], 'tfoot': [], 'tr': [],
+            'th': ['colspan', 'rowspan', 'scope'],
+            'td': ['colspan', 'rowspan'],
+            'details': ['open'],
+            // The CTA boxes open the site's quote form through these attributes
+            'button': ['type', 'data-medium', 'data-toggle', 'data-target'],
+            // Only JSON-LD (FAQPage, HowTo) scripts survive, see isDataScript()
+            'script': ['type']
+        };
+
+        // Removed together with their content; any other unknown element is unwrapped
+        this.droppedTags = [
+            'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'form', 'input',
+            'textarea', 'select', 'option', 'template', 'noscript', 'head', 'title', 'meta', 'link', 'base',
+            'svg', 'math'
+        ];
+
+        this.urlAttributes = ['href', 'src'];
+        this.allowedSchemes = ['http:', 'https:', 'mailto:', 'tel:'];
+    }
+
+    /**
+     * Escape text for an HTML text node
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeText(text) {
+        if (text === undefined || text === null) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Escape text for a double- or single-quoted attribute value
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeAttribute(text) {
+        return this.escapeText(text)
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape a URL for an href or src attribute; URLs with a script-running scheme become ''
+     * @param {string} url
+     * @param {boolean} image - data:image URLs are allowed
+     * @returns {string}
+     */
+    escapeURL(url, image = false) {
+        return this.isSafeURL(url, image) ? this.escapeAttribute(String(url).trim()) : '';
+    }
+
+    /**
+     * Relative URLs, anchors and http(s), mailto and tel links are safe (javascript:, vbscript: and data: are not)
+     * @param {string} url
+     * @param {boolean} image - data:image URLs are allowed
+     * @returns {boolean}
+     */
+    isSafeURL(url, image = false) {
+        if (url === undefined || url === null) return false;
+
+        // Browsers skip whitespace and control characters inside a scheme ("java\tscript:")
+        const value = String(url).replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = value.match(/^([a-z][a-z0-9+.-]*):/i);
+        if (!scheme) return true;
+        if (this.allowedSchemes.includes(scheme[1].toLowerCase() + ':')) return true;
+        return image && /^data:image\/(png|gif|jpe?g|webp);/i.test(value);
+    }
+
+    /**
+     * Reduce untrusted HTML to the allowed elements and attributes
+     * @param {string} html
+     * @returns {string}
+     */
+    sanitize(html) {
+        if (!html) return '';
+
+        const container = this.getDocument().createElement('div');
+        container.innerHTML = html;
+        this.sanitizeChildren(container);
+        return container.innerHTML;
+    }
+
+    /**
+     * @param {Element} parent
+     */
+    sanitizeChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === 3) return;
+            if (node.nodeType !== 1) {
+                // Comments and processing instructions
+                node.remove();
+                return;
+            }
+
+            const tag = node.tagName.toLowerCase();
+            if (tag === 'script' && this.isDataScript(node)) {
+                this.sanitizeAttributes(node, tag);
+                return;
+            }
+            if (this.droppedTags.includes(tag)) {
+                node.remove();
+                return;
+            }
+
+            this.sanitizeChildren(node);
+            if (this.allowedTags[tag]) {
+                this.sanitizeAttributes(node, tag);
+                // An image whose source was unsafe shows nothing
+                if (tag === 'img' && !node.hasAttribute('src')) node.remove();
+            } else {
+                node.replaceWith(...Array.from(node.childNodes));
+            }
+        });
+    }
+
+    /**
+     * @param {Element} element
+     * @param {string} tag
+     */
+    sanitizeAttributes(element, tag) {
+        const allowed = this.allowedTags['*'].concat(this.allowedTags[tag]);
+
+        Array.from(element.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            const safe = allowed.includes(name) &&
+                (!this.urlAttributes.includes(name) || this.isSafeURL(attribute.value, tag === 'img')) &&
+                (name !== 'style' || this.isSafeStyle(attribute.value));
+            if (!safe) element.removeAttribute(attribute.name);
+        });
+
+        // Links opening a new tab don't get access to the page
+        if (tag === 'a' && element.getAttribute('target') === '_blank') {
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Inline styles may lay things out but not load URLs or run expressions
+     * @param {string} style
+     * @returns {boolean}
+     */
+    isSafeStyle(style) {
+        return !/expression\s*\(|url\s*\(|javascript:|behaviou?r\s*:|-moz-binding|@import/i.test(style);
+    }
+
+    /**
+     * @param {Element} script
+     * @returns {boolean}
+     */
+    isDataScript(script) {
+        return (script.getAttribute('type') || '').trim().toLowerCase() === 'application/ld+json';
+    }
+
+    /**
+     * An inert document to parse into: scripts don't run and images don't load
+     * @returns {Document}
+     */
+    getDocument() {
+        if (!this.document) {
+            if (typeof DOMParser !== 'undefined') {
+                this.document = new DOMParser().parseFromString('', 'text/html');
+            } else {
+                const { JSDOM } = require('jsdom');
+                this.document = new JSDOM('').window.document;
+            }
+        }
+        return this.document;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HTMLSanitizer;
+} else {
+    window.HTMLSanitizer = HTMLSanitizer;
+}
@@ -0,0 +1,410 @@
+/**
+ * Inline Formatter for Space-O Technologies Blog Format
+ * Tokenizes inline draft markup (bold, italic, strikethrough, code spans, links, images, autolinks and
+ * backslash escapes) with CommonMark's delimiter rules and renders it as escaped inline HTML
+ */
+
+class InlineFormatter {
+    constructor() {
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
+        this.punctuation = /[!-/:-@[-`{-~\u2000-\u206f\u2e00-\u2e7f]/;
+    }
+
+    /**
+     * Format draft text as inline HTML
+     * @param {string} text
+     * @returns {string}
+     */
+    format(text) {
+        if (text === undefined || text === null || text === '') return '';
+        return this.render(this.parse(String(text)));
+    }
+
+    /**
+     * Parse text into inline nodes: text, code, link, image, autolink, em, strong, del
+     * @param {string} text
+     * @returns {Array<Object>}
+     */
+    parse(text) {
+        return this.processEmphasis(this.tokenize(text));
+    }
+
+    /**
+     * Split text into literal runs, code spans, links, images, autolinks and emphasis delimiter runs
+     * @param {string} text
+     * @returns {Array<Object>}
+     */
+    tokenize(text) {
+        const tokens = [];
+        let literal = '';
+        let i = 0;
+
+        const push = token => {
+            if (literal) tokens.push({ type: 'text', value: literal });
+            literal = '';
+            tokens.push(token);
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            // \* stays a literal asterisk
+            if (char === '\\' && i + 1 < text.length && this.isPunctuation(text[i + 1])) {
+                literal += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            if (char === '`') {
+                const code = this.readCodeSpan(text, i);
+                if (code) {
+                    push(code.token);
+                    i = code.end;
+                    continue;
+                }
+                // An unmatched backtick run is literal
+                const run = text.slice(i).match(/^`+/)[0];
+                literal += run;
+                i += run.length;
+                continue;
+            }
+
+            if (char === '[' || (char === '!' && text[i + 1] === '[')) {
+                const link = this.readLink(text, char === '!' ? i + 1 : i, char === '!');
+                if (link) {
+                    push(link.token);
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            if (char === '<') {
+                const autolink = text.slice(i).match(/^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)>/i);
+                if (autolink) {
+                    push({ type: 'autolink', url: autolink[1] });
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
+
+            // Bare http(s) URLs become links too (trailing punctuation stays text)
+            if ((char === 'h' || char === 'H') && (i === 0 || /[\s(]/.test(text[i - 1]))) {
+                const url = this.readBareURL(text, i);
+                if (url) {
+                    push({ type: 'autolink', url: url });
+                    i += url.length;
+                    continue;
+                }
+            }
+
+            if (char === '*' || char === '_' || char === '~') {
+                const run = text.slice(i).match(/^(\*+|_+|~+)/)[0];
+                // Strikethrough takes exactly two tildes
+                if (char !== '~' || run.length === 2) {
+                    push(this.createDelimiter(text, i, run));
+                } else {
+                    literal += run;
+                }
+                i += run.length;
+                continue;
+            }
+
+            literal += char;
+            i++;
+        }
+
+        if (literal) tokens.push({ type: 'text', value: literal });
+        return tokens;
+    }
+
+    /**
+     * A code span from a backtick run to the next run of the same length
+     * @param {string} text
+     * @param {number} start
+     * @returns {Object|null} { token, end }
+     */
+    readCodeSpan(text, start) {
+        const run = text.slice(start).match(/^`+/)[0];
+        let index = start + run.length;
+
+        while (index < text.length) {
+            const next = text.indexOf('`', index);
+            if (next === -1) return null;
+            const closing = text.slice(next).match(/^`+/)[0];
+            if (closing.length === run.length) {
+                let code = text.slice(start + run.length, next);
+                // One space on both sides is padding ("`` `x` ``")
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                return { token: { type: 'code', value: code }, end: next + closing.length };
+            }
+            index = next + closing.length;
+        }
+        return null;
+    }
+
+    /**
+     * [label](destination "title") or ![alt](source "title")
+     * The destination may hold balanced parentheses or be written as <destination>
+     * @param {string} text
+     * @param {number} start - Index of "["
+     * @param {boolean} image
+     * @returns {Object|null} { token, end }
+     */
+    readLink(text, start, image) {
+        const labelEnd = this.findLabelEnd(text, start);
+        if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+
+        let index = labelEnd + 2;
+        const skipSpaces = () => {
+            while (index < text.length && /[ \t]/.test(text[index])) index++;
+        };
+        skipSpaces();
+
+        let url = '';
+        if (text[index] === '<') {
+            const close = text.indexOf('>', index);
+            if (close === -1) return null;
+            url = text.slice(index + 1, close);
+            index = close + 1;
+        } else {
+            let depth = 0;
+            while (index < text.length && !/\s/.test(text[index])) {
+                const char = text[index];
+                if (char === '\\' && this.isPunctuation(text[index + 1] || '')) {
+                    url += text[index + 1];
+                    index += 2;
+                    continue;
+                }
+                if (char === '(') depth++;
+                if (char === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                url += char;
+                index++;
+            }
+            if (depth !== 0) return null;
+        }
+
+        skipSpaces();
+        let title = '';
+        const titleMatch = text.slice(index).match(/^("((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\))/);
+        if (titleMatch && index > labelEnd + 2 && /\s/.test(text[index - 1])) {
+            title = (titleMatch[2] ?? titleMatch[3] ?? titleMatch[4]).replace(/\\(.)/g, '$1');
+            index += titleMatch[0].length;
+            skipSpaces();
+        }
+        if (text[index] !== ')') return null;
+
+        const label = text.slice(start + 1, labelEnd);
+        const token = image
+            ? { type: 'image', alt: this.getPlain(this.parse(label)), url: url, title: title }
+            : { type: 'link', children: this.parse(label), url: url, title: title };
+        return { token: token, end: index + 1 };
+    }
+
+    /**
+     * Index of the "]" closing the label opened at start (brackets nest, escapes and code spans are skipped)
+     * @param {string} text
+     * @param {number} start
+     * @returns {number} -1 when the label isn't closed
+     */
+    findLabelEnd(text, start) {
+        let depth = 0;
+        for (let index = start; index < text.length; index++) {
+            const char = text[index];
+            if (char === '\\') {
+                index++;
+            } else if (char === '`') {
+                const code = this.readCodeSpan(text, index);
+                if (code) index = code.end - 1;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+                if (depth === 0) return index;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {string} text
+     * @param {number} start
+     * @returns {string|null}
+     */
+    readBareURL(text, start) {
+        const match = text.slice(start).match(/^https?:\/\/[^\s<>]+/i);
+        if (!match) return null;
+
+        let url = match[0].replace(/[.,:;!?'"*_~]+$/, '');
+        // A closing parenthesis belongs to the URL only when the URL opened one
+        while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+            url = url.slice(0, -1).replace(/[.,:;!?'"*_~]+$/, '');
+        }
+        return /^https?:\/\/./i.test(url) ? url : null;
+    }
+
+    /**
+     * A run of *, _ or ~~ with whether it may open or close emphasis
+     * @param {string} text
+     * @param {number} start
+     * @param {string} run
+     * @returns {Object} Delimiter token
+     */
+    createDelimiter(text, start, run) {
+        const char = run[0];
+        const before = start > 0 ? text[start - 1] : ' ';
+        const after = start + run.length < text.length ? text[start + run.length] : ' ';
+
+        const leftFlanking = !/\s/.test(after) &&
+            (!this.isPunctuation(after) || /\s/.test(before) || this.isPunctuation(before));
+        const rightFlanking = !/\s/.test(before) &&
+            (!this.isPunctuation(before) || /\s/.test(after) || this.isPunctuation(after));
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+            // Underscores inside a word (snake_case_names) are text
+            canOpen = leftFlanking && (!rightFlanking || this.isPunctuation(before));
+            canClose = rightFlanking && (!leftFlanking || this.isPunctuation(after));
+        } else if (char === '*' && /\d/.test(before) && /\d/.test(after)) {
+            // 2*3 is a product, not emphasis
+            canOpen = false;
+            canClose = false;
+        }
+
+        return { type: 'delimiter', char: char, length: run.length, original: run.length, canOpen: canOpen, canClose: canClose };
+    }
+
+    /**
+     * Pair delimiter runs into em, strong and del nodes; unpaired runs become text
+     * @param {Array<Object>} tokens
+     * @returns {Array<Object>}
+     */
+    processEmphasis(tokens) {
+        let index = 0;
+
+        while (index < tokens.length) {
+            const closer = tokens[index];
+            if (closer.type !== 'delimiter' || !closer.canClose || closer.length === 0) {
+                index++;
+                continue;
+            }
+
+            let openerIndex = index - 1;
+            while (openerIndex >= 0 && !this.canPair(tokens[openerIndex], closer)) openerIndex--;
+            if (openerIndex === -1) {
+                index++;
+                continue;
+            }
+
+            const opener = tokens[openerIndex];
+            const size = closer.char === '~' || (opener.length >= 2 && closer.length >= 2) ? 2 : 1;
+            const type = closer.char === '~' ? 'del' : size === 2 ? 'strong' : 'em';
+            // Runs left between the pair can no longer match anything outside it
+            const children = tokens.slice(openerIndex + 1, index).map(token => this.toText(token));
+
+            opener.length -= size;
+            closer.length -= size;
+            tokens.splice(openerIndex + 1, index - openerIndex - 1, { type: type, children: children });
+            index = openerIndex + 2;
+
+            if (opener.length === 0) {
+                tokens.splice(openerIndex, 1);
+                index--;
+            }
+            if (closer.length === 0) {
+                tokens.splice(index, 1);
+            }
+        }
+
+        return tokens.map(token => this.toText(token));
+    }
+
+    /**
+     * @param {Object} opener
+     * @param {Object} closer
+     * @returns {boolean}
+     */
+    canPair(opener, closer) {
+        if (opener.type !== 'delimiter' || opener.char !== closer.char || !opener.canOpen || opener.length === 0) {
+            return false;
+        }
+        // CommonMark's rule of three: "*foo**bar*" is one em, not a strong
+        if ((opener.canClose || closer.canOpen) &&
+            (opener.original + closer.original) % 3 === 0 &&
+            (opener.original % 3 !== 0 || closer.original % 3 !== 0)) {
+            return false;
+        }
+        return true;
+    }
+
+    toText(token) {
+        return token.type === 'delimiter' ? { type: 'text', value: token.char.repeat(token.length) } : token;
+    }
+
+    /**
+     * @param {Array<Object>} nodes
+     * @returns {string}
+     */
+    render(nodes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                    return this.sanitizer.escapeText(node.value);
+                case 'code':
+                    return `<code>${this.sanitizer.escapeText(node.value)}</code>`;
+                case 'strong':
+                case 'em':
+                case 'del':
+                    return `<${node.type}>${this.render(node.children)}</${node.type}>`;
+                case 'link': {
+                    // Links with a script URL keep only their text
+                    const href = this.sanitizer.escapeURL(node.url);
+                    if (!href) return this.render(node.children);
+                    const title = node.title ? ` title="${this.sanitizer.escapeAttribute(node.title)}"` : '';
+                    return `<a href="${href}"${title}>${this.render(node.children)}</a>`;
+                }
+                case 'image': {
+                    const src = this.sanitizer.escapeURL(node.url, true);
+                    if (!src) return this.sanitizer.escapeText(node.alt);
+                    const title = node.title ? ` title="${this.sanitizer.escapeAttribute(node.title)}"` : '';
+                    return `<img src="${src}" alt="${this.sanitizer.escapeAttribute(node.alt)}"${title} loading="lazy" />`;
+                }
+                case 'autolink': {
+                    const url = /^[\w.+-]+@/.test(node.url) ? `mailto:${node.url}` : node.url;
+                    const href = this.sanitizer.escapeURL(url);
+                    return href ? `<a href="${href}">${this.sanitizer.escapeText(node.url)}</a>` : this.sanitizer.escapeText(node.url);
+                }
+                default:
+                    return '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Plain text of parsed nodes (image alt text)
+     * @param {Array<Object>} nodes
+     * @returns {string}
+     */
+    getPlain(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'code') return node.value;
+            if (node.type === 'image') return node.alt;
+            if (node.type === 'autolink') return node.url;
+            return node.children ? this.getPlain(node.children) : '';
+        }).join('');
+    }
+
+    isPunctuation(char) {
+        return this.punctuation.test(char);
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InlineFormatter;
+} else {
+    window.InlineFormatter = InlineFormatter;
+}
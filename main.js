@@ -4,13 +4,18 @@
  */
 
 class DocumentToHTMLIDE {
-    constructor() {
-        this.parser = new AIDocumentParser(); // Use AI-enhanced parser
+    /**
+     * @param {Object} options - { headingDetection: { threshold, borderlineMargin, rules } } tunes text heading detection
+     */
+    constructor(options = {}) {
+        this.parser = new AIDocumentParser({ headingDetection: options.headingDetection }); // Use AI-enhanced parser
         this.templateSystem = new TemplateSystem();
         this.urlFetcher = new URLDocumentFetcher();
         this.currentDocument = null;
         this.currentTemplate = null;
         this.isDirty = false;
+        this.headingReview = []; // borderline headings of the current document
+        this.headingOverrides = new Map(); // line index -> level picked in the review (0 = not a heading)
         
         this.initializeEventListeners();
         this.setupDragAndDrop();
@@ -107,9 +112,13 @@ class DocumentToHTMLIDE {
             htmlEditor.value = this.currentDocument.html;
             
             this.updateWordCount();
+            this.startHeadingReview();
             
             // Show parsing statistics
-            if (this.currentDocument.metadata?.tokens) {
+            const reviewNotes = this.getReviewNotes();
+            if (reviewNotes.length) {
+                this.setStatus(`Processed with warnings: ${reviewNotes.join(' ')}`, 'warning');
+            } else if (this.currentDocument.metadata?.tokens) {
                 this.setStatus(`AI parsing completed • ${this.currentDocument.metadata.tokens} tokens used`, 'success');
             } else {
                 this.setStatus(`Document processed successfully: ${file.name}`, 'success');
@@ -151,9 +160,13 @@ class DocumentToHTMLIDE {
             htmlEditor.value = this.currentDocument.html;
             
             this.updateWordCount();
+            this.startHeadingReview();
             
             // Show parsing statistics
-            if (this.currentDocument.metadata?.tokens) {
+            const reviewNotes = this.getReviewNotes();
+            if (reviewNotes.length) {
+                this.setStatus(`Processed with warnings: ${reviewNotes.join(' ')}`, 'warning');
+            } else if (this.currentDocument.metadata?.tokens) {
                 this.setStatus(`AI parsing completed • ${this.currentDocument.metadata.tokens} tokens used`, 'success');
             } else {
                 this.setStatus(`Document parsed successfully`, 'success');
@@ -169,6 +182,93 @@ class DocumentToHTMLIDE {
         }
     }
 
+    /**
+     * Conversion warnings, headings whose detection score was close to the threshold and what cleanup removed
+     * @returns {Array<string>}
+     */
+    getReviewNotes() {
+        const notes = [...(this.currentDocument.warnings || [])];
+        const borderline = (this.currentDocument.structure?.headings || []).filter(heading => heading.borderline);
+
+        if (borderline.length) {
+            const details = borderline
+                .map(heading => `"${heading.text}" (score ${heading.score}: ${heading.rules.join(', ')})`)
+                .join('; ');
+            notes.push(`Check ${borderline.length} borderline heading(s) under Review Headings: ${details}.`);
+        }
+
+        const cleanup = this.currentDocument.cleanup || [];
+        if (cleanup.length) {
+            notes.push(`Cleanup: ${cleanup.map(entry => entry.message).join('; ')}.`);
+        }
+
+        return notes;
+    }
+
+    /**
+     * List the borderline headings of a newly parsed document, so each one can be kept, moved to another level or made a paragraph
+     */
+    startHeadingReview() {
+        this.headingOverrides = new Map();
+        this.headingReview = (this.currentDocument.structure?.headings || []).filter(heading => heading.borderline);
+        this.renderHeadingReview();
+    }
+
+    /**
+     * Show the heading review in the sidebar, one level picker per borderline heading
+     */
+    renderHeadingReview() {
+        const section = document.getElementById('headingReview');
+        const list = document.getElementById('headingReviewList');
+        list.innerHTML = '';
+        section.style.display = this.headingReview.length ? 'block' : 'none';
+
+        this.headingReview.forEach(heading => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item heading-review-item';
+
+            const text = document.createElement('div');
+            text.className = 'small';
+            text.textContent = heading.text;
+            text.title = `Score ${heading.score}: ${heading.rules.join(', ')}`;
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm mt-1';
+            select.add(new Option('Not a heading', '0'));
+            for (let level = 2; level <= 4; level++) {
+                select.add(new Option(`H${level}`, String(level)));
+            }
+            const level = this.headingOverrides.has(heading.line) ? this.headingOverrides.get(heading.line) : heading.level;
+            select.value = String(level);
+            select.addEventListener('change', () => this.reviewHeading(heading, parseInt(select.value, 10)));
+
+            item.append(text, select);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Apply a heading review decision and convert the draft again
+     * @param {Object} heading - Borderline heading from the document structure
+     * @param {number} level - Picked level, 0 turns the line back into a paragraph
+     */
+    reviewHeading(heading, level) {
+        if (this.isDirty && !confirm('Converting the document again replaces your edits in the editor. Continue?')) {
+            this.renderHeadingReview();
+            return;
+        }
+
+        this.headingOverrides.set(heading.line, level);
+        const reviewed = this.parser.parseText(this.currentDocument.originalContent, { headingOverrides: this.headingOverrides });
+        this.currentDocument = { ...this.currentDocument, ...reviewed };
+
+        document.getElementById('htmlEditor').value = this.currentDocument.html;
+        this.isDirty = false;
+        this.updateWordCount();
+        this.renderHeadingReview();
+        this.setStatus(level ? `"${heading.text}" is now an H${level}` : `"${heading.text}" is now a paragraph`, 'success');
+    }
+
     /**
      * Get content type for file extension
      */
@@ -215,7 +315,7 @@ class DocumentToHTMLIDE {
             if (this.currentDocument) {
                 // Apply template with current document content
                 const content = this.templateSystem.extractContentForTemplate(this.currentDocument, templateName);
-                html = this.templateSystem.applyTemplate(templateName, content);
+                html = this.templateSystem.applyTemplate(templateName, content, this.currentDocument.frontMatter);
             } else {
                 // Show template preview
                 html = this.templateSystem.generatePreview(templateName);
@@ -312,7 +412,7 @@ class DocumentToHTMLIDE {
     }
 
     /**
-     * Download HTML as file
+     * Download HTML as file (a zip with an images/ folder when the document has extracted images)
      */
     downloadHTML() {
         const html = document.getElementById('htmlEditor').value;
@@ -322,14 +422,28 @@ class DocumentToHTMLIDE {
             return;
         }
 
-        const blob = new Blob([html], { type: 'text/html' });
+        // The meta tags and JSON-LD go into the page <head>, ahead of the post body
+        const head = this.currentDocument?.head;
+        const file = head ? `<!-- Head: meta description, canonical, Open Graph, Twitter and JSON-LD -->\n${head}\n<!-- Body -->\n${html}` : html;
+        const name = this.currentDocument ? 
+            (this.currentDocument.name || this.currentDocument.fileName || 'document').replace(/\.[^/.]+$/, '') : 
+            'document';
+
+        // Images extracted from a DOCX are referenced as images/<name>, so they are zipped with the HTML
+        const assets = (this.currentDocument?.assets || []).filter(asset => html.includes(asset.path));
+        let blob = new Blob([file], { type: 'text/html' });
+        let filename = `${name}.html`;
+
+        if (assets.length > 0) {
+            const zip = new ZipWriter();
+            zip.add(filename, file);
+            assets.forEach(asset => zip.add(asset.path, Uint8Array.from(atob(asset.data), char => char.charCodeAt(0))));
+            blob = zip.toBlob();
+            filename = `${name}.zip`;
+        }
+
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
-        
-        const filename = this.currentDocument ? 
-            (this.currentDocument.name || this.currentDocument.fileName || 'document').replace(/\.[^/.]+$/, '') + '.html' : 
-            'document.html';
-            
         a.href = url;
         a.download = filename;
         document.body.appendChild(a);
@@ -360,7 +474,10 @@ class DocumentToHTMLIDE {
         this.currentDocument = null;
         this.currentTemplate = null;
         this.isDirty = false;
+        this.headingReview = [];
+        this.headingOverrides = new Map();
         
+        this.renderHeadingReview();
         this.updateWordCount();
         this.setStatus('All content cleared', 'info');
     }
@@ -498,7 +615,8 @@ class DocumentToHTMLIDE {
 
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.app = new DocumentToHTMLIDE();
+    // Settings can be given before main.js loads: window.IDE_OPTIONS = { headingDetection: { threshold: 0.6 } }
+    window.app = new DocumentToHTMLIDE(window.IDE_OPTIONS);
     console.log('Document to HTML IDE initialized successfully');
 });
 
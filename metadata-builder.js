@@ -0,0 +1,292 @@
+/**
+ * Metadata Builder for Space-O Technologies Blog Format
+ * Derives post metadata (title, description, reading time, author, dates) and renders the <head> snippet:
+ * meta description, canonical URL, Open Graph and Twitter tags and BlogPosting JSON-LD
+ */
+
+class MetadataBuilder {
+    /**
+     * @param {Object} options - { siteName, siteUrl, blogPath, author, wordsPerMinute, descriptionLength }
+     */
+    constructor(options = {}) {
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.anchors = new (typeof AnchorService !== 'undefined' ? AnchorService : require('./anchor-service'))();
+        this.siteName = options.siteName || 'Space-O Technologies';
+        this.siteUrl = (options.siteUrl || 'https://www.spaceotechnologies.com').replace(/\/+$/, '');
+        this.blogPath = options.blogPath || '/blog/';
+        // Posts without an author in their front matter are published by the company
+        this.author = options.author || this.siteName;
+        this.wordsPerMinute = options.wordsPerMinute || 200;
+        // Search engines cut descriptions at about 160 characters
+        this.descriptionLength = options.descriptionLength || 160;
+    }
+
+    /**
+     * Collect the article metadata of a document
+     * Front matter fields (document.metadata.frontMatter) win over derived values
+     * @param {Object} document - Document node from DocumentModel.document()
+     * @param {string} source - Original content, used to find a title the document model no longer has (<title>, # Title)
+     * @returns {Object} { title, description, slug, url, author, category, datePublished, dateModified, image, keywords, wordCount, readingTime }
+     */
+    build(document, source = '') {
+        const frontMatter = (document.metadata && document.metadata.frontMatter) || {};
+        const text = this.getDocumentText(document);
+        const title = this.getPlain(frontMatter.title) || this.getTitle(document, source);
+        const slug = frontMatter.slug || this.anchors.slugify(title);
+        // Tags may be a list or a comma-separated string; the target keyword leads
+        const keywords = [].concat(frontMatter.targetKeyword || frontMatter.keyword || [], frontMatter.tags || frontMatter.keywords || [])
+            .reduce((all, keyword) => all.concat(typeof keyword === 'string' ? keyword.split(',') : String(keyword)), [])
+            .map(keyword => keyword.trim())
+            .filter((keyword, index, all) => keyword && all.indexOf(keyword) === index);
+
+        return {
+            title: title,
+            description: this.truncate(this.getPlain(frontMatter.description) || this.getDescription(document)),
+            slug: slug,
+            url: frontMatter.canonical || `${this.siteUrl}${this.blogPath}${slug}/`,
+            author: frontMatter.author || this.author,
+            category: frontMatter.category ? String(frontMatter.category) : '',
+            datePublished: this.getDate(frontMatter.date || frontMatter.datePublished || frontMatter.publishDate),
+            dateModified: this.getDate(frontMatter.updated || frontMatter.dateModified || frontMatter.lastmod),
+            image: frontMatter.image || this.getFirstImage(document),
+            keywords: keywords,
+            wordCount: this.countWords(text),
+            readingTime: this.estimateReadingTime(text)
+        };
+    }
+
+    /**
+     * Title from the source: HTML <title>, a markdown "# Title" line, the first heading, or a short first line
+     * @param {Object} document
+     * @param {string} source
+     * @returns {string}
+     */
+    getTitle(document, source = '') {
+        const extracted = this.extractTitle(source);
+        if (extracted) return extracted;
+
+        const heading = this.model.getHeadings(document)[0];
+        return heading ? this.getPlain(heading.text) : 'Untitled Document';
+    }
+
+    /**
+     * Title written into raw content (also used for fetched URLs)
+     * @param {string} content
+     * @returns {string|null}
+     */
+    extractTitle(content) {
+        // Try to extract title from HTML
+        const htmlTitleMatch = content.match(/<title>(.*?)<\/title>/i);
+        if (htmlTitleMatch && htmlTitleMatch[1].trim()) {
+            return this.getPlain(htmlTitleMatch[1]);
+        }
+
+        // Try to extract first heading from markdown
+        const mdHeadingMatch = content.match(/^#\s+(.+)$/m);
+        if (mdHeadingMatch) {
+            return mdHeadingMatch[1].trim();
+        }
+
+        // Try to extract first line if it looks like a title
+        const firstLine = content.split('\n').map(line => line.trim()).find(line => line);
+        if (firstLine && firstLine.length < 100 && firstLine.length > 10 && !/^</.test(firstLine) && !/[.!,;]$/.test(firstLine)) {
+            return firstLine;
+        }
+
+        return null;
+    }
+
+    /**
+     * Description from the intro (paragraphs before the first H2), else Key Takeaways, else the first paragraph
+     * @param {Object} document
+     * @returns {string}
+     */
+    getDescription(document) {
+        const blocks = document.blocks;
+        const firstH2 = blocks.findIndex(block => block.type === 'heading' && block.level === 2);
+        const intro = blocks
+            .slice(0, firstH2 === -1 ? blocks.length : firstH2)
+            .filter(block => block.type === 'paragraph')
+            .map(block => this.getPlain(block.text));
+        if (intro.length) return intro.join(' ');
+
+        const keyTakeaways = blocks.find(block => block.type === 'section' && block.sectionType === 'key-takeaways');
+        if (keyTakeaways && keyTakeaways.items.length) {
+            return keyTakeaways.items.map(item => this.getPlain(item).replace(/[.;:]?$/, '.')).join(' ');
+        }
+
+        const paragraph = blocks.find(block => block.type === 'paragraph');
+        return paragraph ? this.getPlain(paragraph.text) : '';
+    }
+
+    /**
+     * Cut text at a word boundary
+     * @param {string} text
+     * @returns {string}
+     */
+    truncate(text) {
+        if (text.length <= this.descriptionLength) return text;
+        const cut = text.substring(0, this.descriptionLength - 1);
+        return cut.substring(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length).replace(/[\s,;:.-]+$/, '') + '…';
+    }
+
+    /**
+     * Plain text of every block, for word count and reading time
+     * @param {Object} document
+     * @returns {string}
+     */
+    getDocumentText(document) {
+        const parts = [];
+        const visit = blocks => blocks.forEach(block => {
+            if (block.text) parts.push(block.text);
+            if (block.type === 'list') {
+                block.items.forEach(item => {
+                    parts.push(item.text);
+                    visit(item.children);
+                });
+            }
+            if (block.type === 'table') {
+                block.head.concat(block.rows).forEach(row => row.forEach(cell => parts.push(cell.text)));
+            }
+            if (block.type === 'section') parts.push(...block.items);
+            if (block.type === 'faq-item') parts.push(block.question);
+            if (block.type === 'step') parts.push(block.title, ...block.description, ...block.substeps);
+            if (block.answers) visit(block.answers);
+            if (block.children && block.type !== 'list') visit(block.children);
+        });
+        visit(document.blocks);
+        return this.getPlain(parts.join(' '));
+    }
+
+    getFirstImage(document) {
+        const image = document.blocks.find(block => block.type === 'image');
+        return image ? image.src : '';
+    }
+
+    /**
+     * Count words in content
+     * @param {string} content
+     * @returns {number}
+     */
+    countWords(content) {
+        const trimmed = content.trim();
+        return trimmed ? trimmed.split(/\s+/).length : 0;
+    }
+
+    /**
+     * Estimate reading time in minutes (average 200 words per minute)
+     * @param {string} content
+     * @returns {number}
+     */
+    estimateReadingTime(content) {
+        return Math.ceil(this.countWords(content) / this.wordsPerMinute);
+    }
+
+    /**
+     * ISO date (YYYY-MM-DD or full timestamp as written), or '' for missing or invalid dates
+     * @param {string|Date} value
+     * @returns {string}
+     */
+    getDate(value) {
+        if (!value) return '';
+        if (value instanceof Date) return value.toISOString();
+        const text = String(value).trim();
+        return isNaN(Date.parse(text)) ? '' : text;
+    }
+
+    getPlain(text) {
+        return text ? this.model.getPlainText(String(text)).replace(/\*\*|__|\*/g, '').replace(/\s+/g, ' ').trim() : '';
+    }
+
+    /**
+     * Render the <head> snippet for a post
+     * @param {Object} article - From build()
+     * @returns {string}
+     */
+    renderHead(article) {
+        const tags = [
+            `<title>${this.escape(article.title)}</title>`,
+            this.meta('name', 'description', article.description),
+            `<link rel="canonical" href="${this.escape(article.url)}">`,
+            this.meta('property', 'og:type', 'article'),
+            this.meta('property', 'og:title', article.title),
+            this.meta('property', 'og:description', article.description),
+            this.meta('property', 'og:url', article.url),
+            this.meta('property', 'og:site_name', this.siteName),
+            this.meta('property', 'og:image', article.image),
+            this.meta('property', 'article:published_time', article.datePublished),
+            this.meta('property', 'article:modified_time', article.dateModified),
+            this.meta('property', 'article:author', article.author),
+            this.meta('property', 'article:section', article.category),
+            ...article.keywords.map(keyword => this.meta('property', 'article:tag', keyword)),
+            this.meta('name', 'twitter:card', article.image ? 'summary_large_image' : 'summary'),
+            this.meta('name', 'twitter:title', article.title),
+            this.meta('name', 'twitter:description', article.description),
+            this.meta('name', 'twitter:image', article.image),
+            this.meta('name', 'twitter:label1', 'Reading time'),
+            this.meta('name', 'twitter:data1', `${article.readingTime} min read`)
+        ];
+
+        return tags.filter(tag => tag).join('\n') + '\n' + this.renderSchema(article);
+    }
+
+    /**
+     * schema.org BlogPosting JSON-LD
+     * @param {Object} article
+     * @returns {string}
+     */
+    renderSchema(article) {
+        const schema = {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: article.title,
+            description: article.description,
+            mainEntityOfPage: { '@type': 'WebPage', '@id': article.url },
+            url: article.url,
+            author: {
+                '@type': article.author === this.siteName ? 'Organization' : 'Person',
+                name: article.author
+            },
+            publisher: { '@type': 'Organization', name: this.siteName, url: this.siteUrl },
+            wordCount: article.wordCount,
+            timeRequired: `PT${article.readingTime}M`
+        };
+        if (article.datePublished) schema.datePublished = article.datePublished;
+        if (article.dateModified || article.datePublished) schema.dateModified = article.dateModified || article.datePublished;
+        if (article.image) schema.image = article.image;
+        if (article.category) schema.articleSection = article.category;
+        if (article.keywords.length) schema.keywords = article.keywords.join(', ');
+
+        // "<" is escaped so no field can close the script element
+        return `<script type="application/ld+json">
+${JSON.stringify(schema, null, 2).replace(/</g, '\\u003c')}
+</script>`;
+    }
+
+    /**
+     * A meta tag, or '' when there is no value
+     * @param {string} attribute - name or property
+     * @param {string} key
+     * @param {string} value
+     * @returns {string}
+     */
+    meta(attribute, key, value) {
+        if (!value) return '';
+        return `<meta ${attribute}="${key}" content="${this.escape(value)}">`;
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MetadataBuilder;
+} else {
+    window.MetadataBuilder = MetadataBuilder;
+}
@@ -85,6 +85,10 @@ class SectionDetector {
             'COMPARISON TABLE': 'table'
         };
         
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.tableBuilder = new (typeof TableBuilder !== 'undefined' ? TableBuilder : require('./table-builder'))();
+        this.anchors = new (typeof AnchorService !== 'undefined' ? AnchorService : require('./anchor-service'))();
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
         this.sectionTemplates = this.initializeSectionTemplates();
     }
 
@@ -158,6 +162,221 @@ class SectionDetector {
         return endTag.replace(' END>', '>');
     }
 
+    /**
+     * Read a standalone section marker line (<FAQ>, <FAQ END>, [TABLE END])
+     * @param {string} text 
+     * @returns {Object|null} { sectionType, isEnd }, or null if the line is not a marker
+     */
+    parseMarker(text) {
+        const marker = text.trim().toUpperCase();
+        
+        // A marker is a single tag, not a line of inline HTML
+        if ((marker.match(/</g) || []).length > 1) return null;
+        
+        if (this.isEndTag(marker)) {
+            return { sectionType: null, isEnd: true };
+        }
+        
+        const sectionType = this.isStartTag(marker) ? this.getSectionTypeFromTag(marker) : null;
+        return sectionType ? { sectionType: sectionType, isEnd: false } : null;
+    }
+
+    /**
+     * Group a flat block stream (from Markdown or HTML input) into section blocks.
+     * A heading naming a section, or a <TAG> marker, starts a section; its paragraphs and
+     * list items become section items until the next heading of the same or a higher level.
+     * @param {Array<Object>} blocks 
+     * @returns {Array<Object>}
+     */
+    groupSections(blocks) {
+        const grouped = [];
+        let currentSection = null;
+        let sectionLevel = 0;
+        let sectionHeading = null; // the FAQ heading the template replaces
+        let sectionItems = [];
+
+        const addSection = () => {
+            // A TOC heading alone is enough, its entries come from the document headings
+            if (currentSection && (sectionItems.length > 0 || currentSection === 'toc')) {
+                const block = this.buildSectionBlock(currentSection, sectionItems);
+                if (block) grouped.push(block);
+            } else if (sectionHeading) {
+                // An FAQ heading with nothing below it stays a heading
+                grouped.push(sectionHeading);
+            }
+            currentSection = null;
+            sectionHeading = null;
+            sectionItems = [];
+        };
+
+        blocks.forEach(block => {
+            const marker = this.getBlockMarker(block);
+            if (marker) {
+                addSection();
+                currentSection = marker.sectionType;
+                // Marker sections only end at their end tag or a heading
+                sectionLevel = 0;
+                return;
+            }
+
+            if (currentSection === 'ignore') return;
+
+            if (block.type === 'heading') {
+                const plainText = this.model.getPlainText(block.text).trim();
+                const sectionType = this.detectSectionType(plainText);
+
+                // FAQ questions below the FAQ heading belong to the section; they may also sit at its level
+                // (H1 "FAQ" and H2 questions both become H2). A TOC holds only lists and links, so any heading ends it
+                const isQuestion = currentSection === 'faq' && block.level === sectionLevel && plainText.endsWith('?');
+                if (!sectionType && currentSection === 'faq' && (block.level > sectionLevel || isQuestion)) {
+                    sectionItems.push(block.text);
+                    return;
+                }
+
+                addSection();
+
+                if (sectionType) {
+                    currentSection = sectionType;
+                    sectionLevel = block.level;
+                    // The FAQ and TOC templates bring their own titles
+                    if (sectionType === 'faq') sectionHeading = block;
+                    if (sectionType === 'toc' || sectionType === 'faq') return;
+                }
+
+                grouped.push(block);
+                return;
+            }
+
+            // A written-out TOC is a list or link-only paragraphs, anything else is content
+            if (currentSection === 'toc' && !this.isTOCEntry(block)) {
+                addSection();
+                grouped.push(block);
+                return;
+            }
+
+            if (currentSection && block.type === 'paragraph') {
+                sectionItems.push(block.text);
+                return;
+            }
+
+            if (currentSection && block.type === 'list') {
+                // FAQ answers and steps keep their list markers so they can be rebuilt as lists and sub-steps
+                sectionItems.push(...this.getListItemTexts(block, currentSection === 'faq' || currentSection === 'steps'));
+                return;
+            }
+
+            // Step screenshots stay with their step
+            if (currentSection === 'steps' && block.type === 'image') {
+                sectionItems.push(this.getImageItem(block));
+                return;
+            }
+
+            // Tables, code, images, quotes and raw HTML end the section
+            addSection();
+            grouped.push(block);
+        });
+
+        addSection();
+
+        return grouped;
+    }
+
+    /**
+     * Section marker carried by a paragraph or raw HTML block
+     * @param {Object} block 
+     * @returns {Object|null}
+     */
+    getBlockMarker(block) {
+        if (block.type === 'html') {
+            return this.parseMarker(block.html);
+        }
+        if (block.type === 'paragraph') {
+            return this.parseMarker(block.html ? this.model.getPlainText(block.text) : block.text);
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a block looks like an entry of a hand-written table of contents
+     * @param {Object} block 
+     * @returns {boolean}
+     */
+    isTOCEntry(block) {
+        if (block.type === 'list') return true;
+        return block.type === 'paragraph' && /^<a\s[^>]*>[\s\S]*<\/a>$/i.test(block.text.trim());
+    }
+
+    /**
+     * Flatten a list block (including nested lists) into section item strings
+     * @param {Object} list 
+     * @param {boolean} marked - Prefix items with "- " or "1. ", indent nested items and keep their paragraphs
+     * @param {number} depth - Nesting depth of the list
+     * @returns {Array<string>}
+     */
+    getListItemTexts(list, marked = false, depth = 0) {
+        const items = [];
+        const indent = marked ? '    '.repeat(depth) : '';
+        list.items.forEach((item, index) => {
+            const marker = marked ? (list.ordered ? `${index + 1}. ` : '- ') : '';
+            if (item.text) items.push(indent + marker + item.text);
+            item.children.forEach(child => {
+                if (child.type === 'list') {
+                    items.push(...this.getListItemTexts(child, marked, depth + 1));
+                } else if (marked && child.type === 'paragraph') {
+                    // Further paragraphs of a loose list item ("1. Step" followed by an indented paragraph)
+                    items.push(child.text);
+                } else if (marked && child.type === 'image') {
+                    // A screenshot in its own paragraph of the item
+                    items.push(this.getImageItem(child));
+                }
+            });
+        });
+        return items;
+    }
+
+    /**
+     * Section item line of an image block, read back by parseStepImage()
+     * @param {Object} image - Image block
+     * @returns {string} ![alt](src "caption")
+     */
+    getImageItem(image) {
+        const caption = image.caption ? ` "${this.sanitizer.escapeText(image.caption)}"` : '';
+        return `![${this.sanitizer.escapeText(image.alt)}](${this.sanitizer.escapeText(image.src)}${caption})`;
+    }
+
+    /**
+     * Build a document model block from the lines of a detected section
+     * @param {string} sectionType 
+     * @param {Array} items - Inline HTML; text drafts format their lines (InlineFormatter) before they get here
+     * @returns {Object|null} Block, or null for sections that produce no output
+     */
+    buildSectionBlock(sectionType, items = []) {
+        switch (sectionType) {
+            case 'ignore':
+                return null;
+            case 'toc':
+                return this.model.section('toc');
+            case 'faq':
+                return this.model.section('faq', { children: this.buildFAQItems(items) });
+            case 'steps':
+                return this.model.section('steps', { children: this.buildStepItems(items) });
+            case 'cta':
+            case 'cta1':
+            case 'cta2':
+                return this.model.cta(sectionType, {
+                    heading: items[0],
+                    description: items[1],
+                    buttonText: items[2],
+                    imageUrl: items[3]
+                });
+            case 'table':
+            case 'comparison':
+                return this.tableBuilder.build(items);
+            default:
+                return this.model.section(sectionType, { items: items });
+        }
+    }
+
     /**
      * Process section content based on detected type
      * @param {string} sectionType 
@@ -191,7 +410,7 @@ ${items.map(item => {
     if (typeof item === 'object' && item.text && item.id) {
         return `        <li><a href="#${item.id}">${item.text}</a></li>`;
     } else if (typeof item === 'string') {
-        return `        <li><a href="#${this.generateId(item)}">${item}</a></li>`;
+        return `        <li><a href="#${this.anchors.slugify(item)}">${item}</a></li>`;
     }
     return `        <li>${item}</li>`;
 }).join('\n')}
@@ -211,7 +430,7 @@ ${items.map(item => `    <li>${item}</li>`).join('\n')}
                 const heading = items[0] || 'Ready to Get Started?';
                 const description = items[1] || 'Get in touch with our experienced team for a free consultation.';
                 const buttonText = items[2] || 'Schedule Free Consultation';
-                const imageUrl = items[3] || 'https://www.spaceotechnologies.com/wp-content/uploads/2023/04/cta-img.png';
+                const imageUrl = this.getImageURL(items[3]) || 'https://www.spaceotechnologies.com/wp-content/uploads/2023/04/cta-img.png';
                 
                 return `
 <div class="callout_newbox">
@@ -234,7 +453,7 @@ ${items.map(item => `    <li>${item}</li>`).join('\n')}
                 const heading = items[0] || 'Want To Create An Android Application?';
                 const description = items[1] || 'Looking to Create An Android app? Get in touch with our experienced Android app developers for a free consultation.';
                 const buttonText = items[2] || 'Schedule Free Consultation';
-                const imageUrl = items[3] || 'https://www.spaceotechnologies.com/wp-content/uploads/2023/04/cta-img.png';
+                const imageUrl = this.getImageURL(items[3]) || 'https://www.spaceotechnologies.com/wp-content/uploads/2023/04/cta-img.png';
                 
                 return `
 <div class="callout_newbox" style="display: flex; align-items: center; background: #f8f9fa; padding: 30px; border-radius: 10px; margin: 20px 0; max-width: 100%; overflow: hidden;">
@@ -288,27 +507,12 @@ ${items.map(item => `    <li>${item}</li>`).join('\n')}
             },
             
             'faq': (content, items) => {
-                const faqItems = this.processFAQItems(items);
-                return `
-<div class="faq_blog">
-    <h2 id="frequently-asked-questions">Frequently Asked Questions</h2>
-${faqItems}
-</div>`;
+                const faqItems = this.buildFAQItems(items);
+                return this.renderFAQSection(faqItems) + this.renderFAQSchema(faqItems);
             },
             
             'steps': (content, items) => {
-                return `
-<ol class="listing-bx">
-${items.map((item, index) => {
-    const parts = item.split(':');
-    const title = parts[0] || `Step ${index + 1}`;
-    const description = parts.slice(1).join(':').trim() || item;
-    return `    <li>
-        <h3>${title}</h3>
-        <p>${description}</p>
-    </li>`;
-}).join('\n')}
-</ol>`;
+                return this.renderStepsSection(this.buildStepItems(items));
             },
             
             'pros-cons': (content, items) => {
@@ -349,30 +553,8 @@ ${items.map(item => `    <li>${item}</li>`).join('\n')}
             },
             
             'comparison': (content, items) => {
-                // Simple comparison table
-                return `
-<table class="comparison-table table table-bordered">
-    <thead>
-        <tr class="table-header">
-            <th>Feature</th>
-            <th>Option 1</th>
-            <th>Option 2</th>
-        </tr>
-    </thead>
-    <tbody>
-${items.map(item => {
-    const parts = item.split('|').map(p => p.trim());
-    if (parts.length >= 3) {
-        return `        <tr>
-            <td>${parts[0]}</td>
-            <td>${parts[1]}</td>
-            <td>${parts[2]}</td>
-        </tr>`;
-    }
-    return `        <tr><td colspan="3">${item}</td></tr>`;
-}).join('\n')}
-    </tbody>
-</table>`;
+                // Comparison rows (Feature | Option 1 | Option 2) render like any other table
+                return this.processTableItems(items);
             },
             
             'ignore': (content, items) => {
@@ -387,62 +569,340 @@ ${items.map(item => {
     }
 
     /**
-     * Process FAQ items with improved question-answer pairing
+     * Pair FAQ lines into question/answer items
+     * Answers can span several paragraphs; list lines ("- item", "1. item") become list answers
+     * A question without an answer is kept, with a warning, but left out of the FAQ schema
      * @param {Array} items 
-     * @returns {string}
+     * @returns {Array<Object>} FAQ item blocks
      */
-    processFAQItems(items) {
-        let faqHtml = '';
+    buildFAQItems(items) {
+        const faqItems = [];
         let currentQuestion = '';
-        let answerParagraphs = [];
-        
-        for (let i = 0; i < items.length; i++) {
-            const item = items[i].trim();
+        let answers = [];
+
+        const addItem = () => {
+            if (currentQuestion) {
+                const faqItem = this.model.faqItem(currentQuestion, this.anchors.slugify(currentQuestion), answers);
+                if (answers.length === 0) {
+                    faqItem.warning = `FAQ question "${this.model.getPlainText(currentQuestion)}" has no answer and is left out of the FAQ schema.`;
+                }
+                faqItems.push(faqItem);
+            } else if (answers.length > 0) {
+                // Answers without an explicit question
+                faqItems.push(this.model.faqItem('', '', answers));
+            }
+            answers = [];
+        };
+
+        items.forEach(line => {
+            const item = line.trim();
             
             // Skip empty items
-            if (!item) continue;
+            if (!item) return;
+
+            const listMatch = item.match(/^([-•*◦▪‣○■●]|(\d+)[.)])\s+(.*)$/);
+            const text = listMatch ? listMatch[3] : item;
+            // Questions are often bold ("<strong>Why?</strong>")
+            const plainText = this.model.getPlainText(text).trim();
             
-            // Check if this looks like a question
-            if (item.endsWith('?') || this.isLikelyQuestion(item)) {
-                // Process previous question-answer pair if exists
-                if (currentQuestion && answerParagraphs.length > 0) {
-                    const id = this.generateId(currentQuestion);
-                    faqHtml += `    <h3 id="${id}">${currentQuestion}</h3>\n`;
-                    answerParagraphs.forEach(paragraph => {
-                        faqHtml += `    <p>${paragraph}</p>\n`;
-                    });
-                    faqHtml += `\n`;
+            // Check if this looks like a question (numbered questions count too)
+            if (plainText.endsWith('?') || (!listMatch && this.isLikelyQuestion(plainText))) {
+                addItem();
+                currentQuestion = text;
+            } else if (listMatch) {
+                // Consecutive list lines of the same kind form one list
+                const ordered = Boolean(listMatch[2]);
+                const previous = answers[answers.length - 1];
+                if (previous && previous.type === 'list' && previous.ordered === ordered) {
+                    previous.items.push(this.model.listItem(text));
+                } else {
+                    answers.push(this.model.list(ordered, [this.model.listItem(text)]));
                 }
-                
-                // Start new question
-                currentQuestion = item;
-                answerParagraphs = [];
-            } else if (currentQuestion) {
-                // This is an answer paragraph
-                answerParagraphs.push(item);
-            } else {
-                // Standalone content - treat as answer to implicit question
-                if (item.length > 20) { // Only substantial content
-                    answerParagraphs.push(item);
+            } else if (currentQuestion || item.length > 20) {
+                // Standalone content before the first question only counts when substantial
+                answers.push(this.model.paragraph(text));
+            }
+        });
+
+        addItem();
+        return faqItems;
+    }
+
+    /**
+     * Render FAQ items inside the Space-O FAQ wrapper
+     * @param {Array<Object>} faqItems 
+     * @param {Object} options - { accordion } wraps each question and answer in a <details> toggle
+     * @returns {string}
+     */
+    renderFAQSection(faqItems, options = {}) {
+        const faqHtml = faqItems.map(faqItem => {
+            const question = faqItem.question ? `<h3 id="${faqItem.id}">${faqItem.question}</h3>` : '';
+            const answers = faqItem.answers.map(answer => this.renderFAQAnswer(answer, '    ')).join('');
+
+            if (options.accordion && question) {
+                return `    <details class="faq_item">
+        <summary>${question}</summary>
+${answers.replace(/^(?=.)/gm, '    ')}    </details>\n`;
+            }
+            return (question ? `    ${question}\n` : '') + answers;
+        }).join('\n');
+
+        return `
+<div class="faq_blog">
+    <h2 id="${this.anchors.faqHeadingId}">Frequently Asked Questions</h2>
+${faqHtml}
+</div>`;
+    }
+
+    /**
+     * Render one answer block (paragraph or list)
+     * @param {Object} answer 
+     * @param {string} indent 
+     * @param {boolean} plain - Leave out the blog classes (schema answers)
+     * @returns {string}
+     */
+    renderFAQAnswer(answer, indent = '', plain = false) {
+        if (answer.type === 'list') {
+            const tag = answer.ordered ? 'ol' : 'ul';
+            const className = plain ? '' : ` class="${answer.ordered ? 'listing-bx' : 'bullet-new-box'}"`;
+            const itemIndent = plain ? '' : `${indent}    `;
+            const items = answer.items.map(item => `${itemIndent}<li>${item.text}</li>\n`).join('');
+            return `${indent}<${tag}${className}>\n${items}${indent}</${tag}>\n`;
+        }
+        return `${indent}<p>${answer.text}</p>\n`;
+    }
+
+    /**
+     * schema.org FAQPage JSON-LD for the answered questions
+     * @param {Array<Object>} faqItems 
+     * @returns {string} Script element, or '' when no question has an answer
+     */
+    renderFAQSchema(faqItems) {
+        // A question repeated in a second FAQ section is listed once
+        const names = new Set();
+        const questions = faqItems
+            .filter(faqItem => faqItem.question && faqItem.answers.length > 0)
+            .filter(faqItem => !names.has(faqItem.question) && names.add(faqItem.question))
+            .map(faqItem => ({
+                '@type': 'Question',
+                name: this.model.getPlainText(faqItem.question),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: faqItem.answers.map(answer => this.renderFAQAnswer(answer, '', true)).join('').replace(/\n/g, '')
                 }
+            }));
+        if (questions.length === 0) return '';
+
+        const schema = { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: questions };
+        // "<" is escaped so answer HTML can never close the script element
+        const json = JSON.stringify(schema, null, 2).replace(/</g, '\\u003c');
+        return `
+<script type="application/ld+json">
+${json}
+</script>`;
+    }
+
+    /**
+     * Turn STEPS lines into step items
+     * When the draft marks its steps ("1. ", "- "), unmarked lines continue the current step,
+     * indented list lines are its sub-steps and image lines its screenshots; otherwise every line is a step
+     * @param {Array} items 
+     * @returns {Array<Object>} Step blocks
+     */
+    buildStepItems(items) {
+        const steps = [];
+        const listPattern = /^([-•*◦▪‣○■●]|\d+[.)])\s+(.*)$/;
+        const marked = items.some(line => listPattern.test(line.trim()));
+        // Images above the first step belong to it
+        let images = [];
+        let currentStep = null;
+
+        items.forEach(line => {
+            const item = line.trim();
+            if (!item) return;
+
+            const image = this.parseStepImage(item);
+            const listMatch = item.match(listPattern);
+
+            if (image) {
+                (currentStep ? currentStep.images : images).push(image);
+            } else if (listMatch && currentStep && /^\s/.test(line)) {
+                currentStep.substeps.push(listMatch[2]);
+            } else if (listMatch || !marked || !currentStep) {
+                currentStep = this.createStep(listMatch ? listMatch[2] : item, steps.length);
+                currentStep.images.push(...images);
+                images = [];
+                steps.push(currentStep);
+            } else {
+                currentStep.description.push(item);
             }
+        });
+
+        return steps;
+    }
+
+    /**
+     * Split "Title: Description" into a step (a colon inside a URL doesn't count)
+     * @param {string} text 
+     * @param {number} index 
+     * @returns {Object} Step block
+     */
+    createStep(text, index) {
+        const parts = text.match(/^([^:]*):(?:\s+(.*))?$/);
+        const title = (parts ? parts[1] : text).trim() || `Step ${index + 1}`;
+        const description = parts && parts[2] ? [parts[2].trim()] : [];
+        return this.model.step(title, description);
+    }
+
+    /**
+     * Image written as ![alt](src), an <img> tag, an IMAGE: line or a bare image URL
+     * Items are inline HTML, the image block gets plain src and alt text
+     * @param {string} item 
+     * @returns {Object|null} Image block
+     */
+    parseStepImage(item) {
+        const plain = text => this.model.getPlainText(text || '');
+
+        const markdown = item.match(/^!\[([^\]]*)\]\(\s*(\S+?)(?:\s+(?:"|&quot;)(.*?)(?:"|&quot;))?\s*\)$/);
+        if (markdown) return this.model.image(plain(markdown[2]), plain(markdown[1]), plain(markdown[3]));
+
+        if (/^<img\s[^>]*>$/i.test(item)) {
+            const src = item.match(/\ssrc=["']([^"']*)["']/i);
+            const alt = item.match(/\salt=["']([^"']*)["']/i);
+            return src ? this.model.image(plain(src[1]), alt ? plain(alt[1]) : '') : null;
         }
-        
-        // Process the last question-answer pair
-        if (currentQuestion && answerParagraphs.length > 0) {
-            const id = this.generateId(currentQuestion);
-            faqHtml += `    <h3 id="${id}">${currentQuestion}</h3>\n`;
-            answerParagraphs.forEach(paragraph => {
-                faqHtml += `    <p>${paragraph}</p>\n`;
-            });
-        } else if (!currentQuestion && answerParagraphs.length > 0) {
-            // Handle case where we have answers but no explicit questions
-            answerParagraphs.forEach(paragraph => {
-                faqHtml += `    <p>${paragraph}</p>\n`;
-            });
+
+        const marker = this.parseImageMarker(plain(item));
+        if (marker) return marker;
+
+        // Text drafts turn bare URLs into links
+        if (/^https?:\/\/\S+\.(png|jpe?g|gif|webp|svg)(\?\S*)?$/i.test(plain(item).trim())) {
+            return this.model.image(plain(item).trim());
         }
-        
-        return faqHtml;
+        return null;
+    }
+
+    /**
+     * Image written as an "IMAGE: url | alt text | caption | 800x450" line (all fields but the URL are optional)
+     * @param {string} text - Plain text
+     * @returns {Object|null} Image block
+     */
+    parseImageMarker(text) {
+        const match = text.trim().match(/^IMAGE\s*:\s*(\S+)\s*(?:\|(.*))?$/);
+        if (!match) return null;
+
+        const [alt = '', caption = '', size = ''] = (match[2] || '').split('|').map(field => field.trim());
+        const dimensions = size.match(/^(\d+)\s*[x×]\s*(\d+)$/i);
+        return this.model.image(match[1], alt, caption, dimensions ? { width: Number(dimensions[1]), height: Number(dimensions[2]) } : {});
+    }
+
+    /**
+     * Plain URL of an image field (section items are inline HTML), or '' when it is missing or unsafe
+     * @param {string} item 
+     * @returns {string}
+     */
+    getImageURL(item) {
+        return item ? this.sanitizer.escapeURL(this.model.getPlainText(item).trim(), true) : '';
+    }
+
+    /**
+     * Render an image block as a Space-O figure, captioned when the image has a caption
+     * @param {Object} image - Image block
+     * @returns {string} '' when the source is missing or unsafe
+     */
+    renderImage(image) {
+        const tag = this.renderImageTag(image);
+        if (!tag) return '';
+
+        const caption = image.caption
+            ? `\n    <figcaption class="wp-caption-text">${this.sanitizer.escapeText(image.caption)}</figcaption>`
+            : '';
+        return `<figure class="wp-caption aligncenter">
+    ${tag}${caption}
+</figure>`;
+    }
+
+    /**
+     * The <img> of an image block: lazy loaded, sized when the size is known, and always with an alt attribute
+     * @param {Object} image - Image block
+     * @returns {string}
+     */
+    renderImageTag(image) {
+        const src = this.sanitizer.escapeURL(image.src, true);
+        if (!src) return '';
+
+        const size = (image.width ? ` width="${image.width}"` : '') + (image.height ? ` height="${image.height}"` : '');
+        return `<img src="${src}" alt="${this.sanitizer.escapeAttribute(image.alt)}"${size} loading="lazy" class="aligncenter size-full" />`;
+    }
+
+    /**
+     * Render step items as the Space-O numbered steps list
+     * @param {Array<Object>} steps 
+     * @returns {string}
+     */
+    renderStepsSection(steps) {
+        return `
+<ol class="listing-bx">
+${steps.map(step => this.renderStep(step)).join('\n')}
+</ol>`;
+    }
+
+    /**
+     * @param {Object} step 
+     * @returns {string}
+     */
+    renderStep(step) {
+        const lines = [
+            `        <h3>${step.title}</h3>`,
+            ...step.description.map(text => `        <p>${text}</p>`),
+            ...step.images.map(image => this.renderImage(image)).filter(html => html).map(html => html.replace(/^/gm, '        '))
+        ];
+        if (step.substeps.length > 0) {
+            lines.push('        <ol>', ...step.substeps.map(substep => `            <li>${substep}</li>`), '        </ol>');
+        }
+        return `    <li>
+${lines.join('\n')}
+    </li>`;
+    }
+
+    /**
+     * schema.org HowTo JSON-LD for a STEPS section
+     * @param {Array<Object>} steps 
+     * @param {string} name - What the steps achieve (usually the heading above them)
+     * @returns {string} Script element, or '' without steps
+     */
+    renderHowToSchema(steps, name) {
+        if (steps.length === 0) return '';
+
+        const getPlain = text => this.model.getPlainText(text).trim();
+        const schema = {
+            '@context': 'https://schema.org',
+            '@type': 'HowTo',
+            name: getPlain(name),
+            step: steps.map((step, index) => {
+                const howToStep = {
+                    '@type': 'HowToStep',
+                    position: index + 1,
+                    name: getPlain(step.title),
+                    text: getPlain(step.description.join(' ')) || getPlain(step.title)
+                };
+                if (step.images.length > 0) howToStep.image = step.images.map(image => image.src);
+                if (step.substeps.length > 0) {
+                    howToStep.itemListElement = step.substeps.map((substep, position) => ({
+                        '@type': 'HowToDirection',
+                        position: position + 1,
+                        text: getPlain(substep)
+                    }));
+                }
+                return howToStep;
+            })
+        };
+        // "<" is escaped so step text can never close the script element
+        const json = JSON.stringify(schema, null, 2).replace(/</g, '\\u003c');
+        return `
+<script type="application/ld+json">
+${json}
+</script>`;
     }
 
     /**
@@ -465,18 +925,6 @@ ${items.map(item => {
         return `<p>${content}</p>`;
     }
 
-    /**
-     * Generate ID from text
-     * @param {string} text 
-     * @returns {string}
-     */
-    generateId(text) {
-        return text.toLowerCase()
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .substring(0, 50);
-    }
-
     /**
      * Process table items into properly formatted HTML table
      * @param {Array} items 
@@ -484,110 +932,7 @@ ${items.map(item => {
      */
     processTableItems(items) {
         if (!items || items.length === 0) return '';
-        
-        console.log('Processing table items:', items); // Debug log
-        
-        // Detect table format - pipe-separated or tab-separated
-        let tableData = [];
-        let headers = [];
-        
-        // Check if we have Google Docs format (each cell on separate line)
-        const hasTabsInItems = items.some(item => item.includes('\t'));
-        const hasPipesInItems = items.some(item => item.includes('|'));
-        
-        if (!hasTabsInItems && !hasPipesInItems && items.length > 4) {
-            // Google Docs format: reconstruct table from individual cells
-            // First, try to determine number of columns from the pattern
-            let numColumns = 4; // Default assumption for your table format
-            
-            // Create rows by grouping cells
-            for (let i = 0; i < items.length; i += numColumns) {
-                const rowCells = [];
-                for (let j = 0; j < numColumns && (i + j) < items.length; j++) {
-                    const cell = items[i + j].trim();
-                    if (cell) rowCells.push(cell);
-                }
-                
-                if (rowCells.length > 0) {
-                    if (i === 0) {
-                        headers = rowCells;
-                        console.log('Headers:', headers);
-                    } else {
-                        tableData.push(rowCells);
-                        console.log(`Data row ${Math.floor(i/numColumns)}:`, rowCells);
-                    }
-                }
-            }
-        } else {
-            // Standard parsing for pipe/tab separated format
-            for (let i = 0; i < items.length; i++) {
-                const item = items[i].trim();
-                if (!item) continue;
-                
-                let columns = [];
-                
-                // Check for pipe-separated format first (most explicit)
-                if (item.includes('|')) {
-                    columns = item.split('|').map(col => col.trim()).filter(col => col);
-                }
-                // Check for tab-separated format (Google Docs export)
-                else if (item.includes('\t')) {
-                    columns = item.split('\t').map(col => col.trim()).filter(col => col);
-                }
-                // Check for multiple spaces format (3 or more spaces)
-                else if (/\s{3,}/.test(item)) {
-                    columns = item.split(/\s{3,}/).map(col => col.trim()).filter(col => col);
-                }
-                // If no clear delimiter found, treat as single column
-                else {
-                    columns = [item];
-                }
-                
-                console.log(`Row ${i}:`, columns); // Debug log
-                
-                if (i === 0) {
-                    headers = columns;
-                } else {
-                    tableData.push(columns);
-                }
-            }
-        }
-        
-        // Generate table HTML with Space-O styling
-        let tableHtml = `
-<div class="table-responsive travel_table v-middle">
-    <table class="table table-bordered" dir="ltr" border="1" cellspacing="0" cellpadding="0">
-        <tbody>`;
-        
-        // Add header row if we have headers
-        if (headers.length > 0) {
-            tableHtml += '\n            <tr>\n';
-            const colWidth = Math.floor(100 / headers.length);
-            headers.forEach((header, index) => {
-                tableHtml += `                <th style="width: ${colWidth}%;">${header}</th>\n`;
-            });
-            tableHtml += '            </tr>';
-        }
-        
-        // Add data rows
-        tableData.forEach(row => {
-            tableHtml += '\n            <tr>\n';
-            // Ensure row has enough columns (pad with empty cells if needed)
-            while (row.length < headers.length) {
-                row.push('');
-            }
-            row.forEach(cell => {
-                tableHtml += `                <td>${cell}</td>\n`;
-            });
-            tableHtml += '            </tr>';
-        });
-        
-        tableHtml += `
-        </tbody>
-    </table>
-</div>`;
-        
-        return tableHtml;
+        return this.tableBuilder.render(this.tableBuilder.build(items));
     }
 
     /**
@@ -600,6 +945,27 @@ ${items.map(item => {
 
 Add these section names to your documents and the parser will automatically convert them to Space-O Technologies HTML format:
 
+## Metadata
+**Syntax:** YAML front matter between "---" lines or TOML between "+++" lines at the top of the document,
+            or a "METADATA" line followed by "key: value" lines (ends at a blank line)
+**Keys:** title, slug, author, category, tags, date, target keyword, description, image,
+          toc_depth (2-4) and cta (heading, description, button_text, image_url) defaults
+**Output:** Not rendered; fills the <head> snippet and template placeholders
+
+## Headings
+**Syntax:** "H2: Title", "[H3] Title" or "## Title" (levels 2-4; H1 becomes H2)
+**Output:** Heading of exactly that level; an explicit H2 also ends the open section
+
+## Images
+**Syntax:** "IMAGE: url | alt text | caption | 800x450" (all but the URL optional) or a line holding only ![alt](url "caption");
+            DOCX pictures keep their alt text, size and Caption-style caption
+**Output:** Lazy-loaded image in a figure with its caption; images without alt text are reported as warnings
+
+## Code
+**Syntax:** A fenced block (\`\`\` or ~~~, language after the opening fence), lines indented by four spaces after a blank line,
+            or <CODE lang=js> ... <CODE END>; DOCX paragraphs in a code style or a monospace font
+**Output:** <pre><code class="language-js"> kept verbatim, pre-highlighted with Prism when HIGHLIGHT_CODE is on
+
 ## Table of Contents
 **Section Names:** "TABLE OF CONTENTS", "TOC", "CONTENTS", "INDEX"
 **Output:** Space-O TOC with toggle functionality
@@ -635,12 +1001,14 @@ Add these section names to your documents and the parser will automatically conv
 
 ## FAQ Section
 **Section Names:** "FAQ", "FREQUENTLY ASKED QUESTIONS", "COMMON QUESTIONS"
-**Format:** Questions ending with "?" followed by answers
+**Format:** Questions ending with "?" followed by answers (several paragraphs or a "- " / "1. " list)
+**Output:** FAQ block plus FAQPage JSON-LD; questions without an answer are flagged
 
 ## Step-by-Step Process
 **Section Names:** "STEPS", "STEP BY STEP", "PROCESS", "HOW TO", "TUTORIAL"
-**Format:** Numbered or bulleted list items
-**Output:** Professional numbered steps with styling
+**Format:** Numbered or bulleted "Title: Description" items; unmarked lines below a step add paragraphs,
+            indented items are sub-steps and ![alt](image-url) lines are step images
+**Output:** Professional numbered steps with styling, plus HowTo JSON-LD when enabled
 
 ## Pros and Cons
 **Section Names:** "PROS AND CONS", "ADVANTAGES AND DISADVANTAGES"
@@ -653,7 +1021,7 @@ Add these section names to your documents and the parser will automatically conv
 
 ## Comparison Tables
 **Section Names:** "COMPARISON", "VS"
-**Format:** Feature|Option1|Option2 (separated by |)
+**Format:** Feature|Option1|Option2 (separated by |, first row is the header)
 **Output:** Professional comparison table
 
 ## Data Tables
@@ -663,7 +1031,9 @@ Add these section names to your documents and the parser will automatically conv
 - <TABLE> ... </TABLE>
 - TABLE: (simple format)
 **Format:** Header1 | Header2 | Header3
-            Data1   | Data2   | Data3
+            :---    | :---:   | ---:     (optional: left, center, right alignment)
+            Data1   |         | Data3    (empty cells are kept)
+**Caption:** "Table: Caption" or "Table 2. Caption" right above or below the table
 **Output:** Responsive HTML table with Space-O styling
 **Output:** Professional data table with Space-O styling
 
@@ -681,7 +1051,10 @@ TABLE OF CONTENTS
 
 STEPS
 1. First step: Description of what to do
+   - Sub-step of the first step
 2. Second step: More details
+Another paragraph for the second step
+![Screenshot of the second step](https://example.com/step-2.png)
 3. Third step: Final instructions
 
 FAQ
@@ -708,5 +1081,9 @@ PROS AND CONS
     }
 }
 
-// Export for use in main application
-window.SectionDetector = SectionDetector;
\ No newline at end of file
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SectionDetector;
+} else {
+    window.SectionDetector = SectionDetector;
+}
\ No newline at end of file
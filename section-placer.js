@@ -0,0 +1,159 @@
+/**
+ * Section Placer for Space-O Technologies Blog Format
+ * Moves the TOC and Key Takeaways sections to a configured place and inserts a TOC in longer posts
+ */
+
+class SectionPlacer {
+    /**
+     * @param {Object} options - { toc, keyTakeaways } placement policies, { autoTOC } minimum H2 count for an automatic TOC (0 = off)
+     */
+    constructor(options = {}) {
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+
+        // 'marker' keeps a section where the draft put it
+        this.policies = {
+            'marker': 'where the draft marks it',
+            'top': 'at the very top of the post',
+            'after-intro': 'right after the introduction paragraphs, before the first H2',
+            'after-key-takeaways': 'right after the Key Takeaways section',
+            'before-first-h2': 'right before the first H2'
+        };
+
+        this.tocPlacement = this.getPolicy(options.toc);
+        this.keyTakeawaysPlacement = this.getPolicy(options.keyTakeaways);
+        this.autoTOC = options.autoTOC || 0;
+    }
+
+    /**
+     * @param {string} [policy]
+     * @returns {string}
+     */
+    getPolicy(policy = 'marker') {
+        if (!this.policies[policy]) {
+            throw new Error(`Unknown section placement: ${policy}`);
+        }
+        return policy;
+    }
+
+    /**
+     * Apply the placement policies to a document (Key Takeaways first, so the TOC can follow it)
+     * @param {Object} document - Document node from DocumentModel.document()
+     * @returns {Object} The same document
+     */
+    place(document) {
+        let blocks = this.move(document.blocks, 'key-takeaways', this.keyTakeawaysPlacement);
+
+        const hasTOC = blocks.some(block => block.type === 'section' && block.sectionType === 'toc');
+        if (!hasTOC && this.autoTOC && this.countChapters(blocks) >= this.autoTOC) {
+            // Without a marker to keep, an automatic TOC goes before the first chapter
+            const policy = this.tocPlacement === 'marker' ? 'before-first-h2' : this.tocPlacement;
+            const index = this.getPosition(blocks, policy);
+            blocks = [...blocks.slice(0, index), this.model.section('toc'), ...blocks.slice(index)];
+        } else {
+            blocks = this.move(blocks, 'toc', this.tocPlacement);
+        }
+
+        document.blocks = blocks;
+        return document;
+    }
+
+    /**
+     * Move the first section of a type (with the heading that titles it) to the policy's position
+     * @param {Array<Object>} blocks
+     * @param {string} sectionType
+     * @param {string} policy
+     * @returns {Array<Object>}
+     */
+    move(blocks, sectionType, policy) {
+        if (policy === 'marker') return blocks;
+
+        const sectionIndex = blocks.findIndex(block => block.type === 'section' && block.sectionType === sectionType);
+        if (sectionIndex === -1) return blocks;
+
+        const start = sectionIndex > 0 && this.getTitledSection(blocks[sectionIndex - 1]) === sectionType
+            ? sectionIndex - 1
+            : sectionIndex;
+        const moved = blocks.slice(start, sectionIndex + 1);
+        const remaining = [...blocks.slice(0, start), ...blocks.slice(sectionIndex + 1)];
+
+        const index = this.getPosition(remaining, policy);
+        return [...remaining.slice(0, index), ...moved, ...remaining.slice(index)];
+    }
+
+    /**
+     * Index where a policy puts a section
+     * @param {Array<Object>} blocks
+     * @param {string} policy
+     * @returns {number}
+     */
+    getPosition(blocks, policy) {
+        const firstChapter = blocks.findIndex(block => this.isChapter(block));
+        const beforeFirstChapter = firstChapter === -1 ? blocks.length : firstChapter;
+
+        switch (policy) {
+            case 'top':
+                return 0;
+            case 'after-key-takeaways': {
+                const keyTakeaways = blocks.findIndex(block => block.type === 'section' && block.sectionType === 'key-takeaways');
+                if (keyTakeaways !== -1) return keyTakeaways + 1;
+                return this.getPosition(blocks, 'after-intro');
+            }
+            case 'after-intro': {
+                // After the last intro paragraph; a post without an intro gets the section at the top
+                let index = beforeFirstChapter;
+                while (index > 0 && blocks[index - 1].type !== 'paragraph') index--;
+                return index;
+            }
+            case 'before-first-h2':
+            default:
+                return beforeFirstChapter;
+        }
+    }
+
+    /**
+     * H2s that start a chapter (not the titles of TOC, Key Takeaways or FAQ sections)
+     * @param {Object} block
+     * @returns {boolean}
+     */
+    isChapter(block) {
+        return block.type === 'heading' && block.level === 2 && !this.getTitledSection(block);
+    }
+
+    countChapters(blocks) {
+        return blocks.filter(block => this.isChapter(block)).length;
+    }
+
+    /**
+     * Section type named by a heading (e.g. "KEY TAKEAWAYS"), or null
+     * @param {Object} block
+     * @returns {string|null}
+     */
+    getTitledSection(block) {
+        if (block.type !== 'heading') return null;
+        return this.sectionDetector.detectSectionType(this.model.getPlainText(block.text)) || null;
+    }
+
+    /**
+     * The same policies as instructions for the AI parser, so both paths place sections alike
+     * @returns {string}
+     */
+    describe() {
+        const tocCondition = this.autoTOC
+            ? `if the document contains "TABLE OF CONTENTS" or has ${this.autoTOC} or more H2 sections`
+            : 'only if the document contains "TABLE OF CONTENTS"';
+        const tocPlace = this.tocPlacement === 'marker' && this.autoTOC
+            ? `${this.policies.marker} (${this.policies['before-first-h2']} when unmarked)`
+            : this.policies[this.tocPlacement];
+
+        return `Generate the Table of Contents ${tocCondition}, and place it ${tocPlace}.
+   Place the Key Takeaways section ${this.policies[this.keyTakeawaysPlacement]}.`;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SectionPlacer;
+} else {
+    window.SectionPlacer = SectionPlacer;
+}
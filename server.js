@@ -5,6 +5,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const Groq = require('groq-sdk');
+const ContentParser = require('./content-parser');
+const DocxImageExtractor = require('./docx-image-extractor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,6 +16,32 @@ const groq = new Groq({
   apiKey: process.env.GROQ_API_KEY
 });
 
+// Rule-based parser shared with the browser and the Vercel function; TOC and Key Takeaways
+// placement comes from the environment so the AI prompt and the fallback agree
+const contentParser = new ContentParser({
+  placement: {
+    toc: process.env.TOC_PLACEMENT || 'marker',
+    keyTakeaways: process.env.KEY_TAKEAWAYS_PLACEMENT || 'marker',
+    autoTOC: parseInt(process.env.AUTO_TOC_MIN_H2 || '0', 10)
+  },
+  steps: {
+    schema: process.env.HOWTO_SCHEMA === 'true'
+  },
+  code: {
+    highlight: process.env.HIGHLIGHT_CODE === 'true'
+  },
+  headingDetection: {
+    threshold: parseFloat(process.env.HEADING_THRESHOLD || '0.5')
+  }
+});
+
+// Pictures in uploaded DOCX files: downloadable assets ("files") or data URIs, optionally resized/converted
+const docxImageOptions = {
+  mode: process.env.DOCX_IMAGE_MODE || 'files',
+  maxWidth: parseInt(process.env.DOCX_IMAGE_MAX_WIDTH || '0', 10),
+  format: process.env.DOCX_IMAGE_FORMAT || null
+};
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -42,28 +70,11 @@ app.post('/fetch-url', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    const fetch = (await import('node-fetch')).default;
-    
-    // Process Google Docs URLs
-    let fetchUrl = url;
-    if (url.includes('docs.google.com/document')) {
-      const docIdMatch = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
-      if (docIdMatch) {
-        const docId = docIdMatch[1];
-        // Try text export first
-        fetchUrl = `https://docs.google.com/document/d/${docId}/export?format=txt`;
-      }
-    }
-    
-    const response = await fetch(fetchUrl);
-    
-    if (!response.ok) {
-      throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
-    }
-    
-    const content = await response.text();
+    // Google Docs are exported as HTML so links, formatting, tables and images survive
+    const fetchUrl = getExportUrl(url);
+    const fetched = await fetchDocumentFromUrl(fetchUrl);
     
-    if (content.includes('<HTML>') && content.includes('Temporary Redirect')) {
+    if (isGoogleLoginPage(fetched)) {
       return res.status(403).json({ 
         error: 'Document requires authentication or is not publicly accessible. Please ensure the Google Doc is shared with "Anyone with the link can view" permissions.' 
       });
@@ -71,7 +82,8 @@ app.post('/fetch-url', async (req, res) => {
     
     res.json({
       success: true,
-      content: content,
+      content: fetched.content,
+      format: getFormatFromContentType(fetched.contentType),
       url: fetchUrl,
       originalUrl: url
     });
@@ -86,16 +98,23 @@ app.post('/fetch-url', async (req, res) => {
 
 // AI-powered document parsing endpoint
 app.post('/api/parse-with-ai', upload.single('document'), async (req, res) => {
+  let content = req.body.content;
+  // DOCX content in the body is a conversion this endpoint returned earlier, i.e. Space-O HTML
+  let format = req.body.type === 'docx' ? 'html' : req.body.type || 'text';
+  let isConvertedDocx = false;
+  let images = null;
+
   try {
     if (!req.file && !req.body.content) {
       return res.status(400).json({ error: 'No document provided' });
     }
 
-    let content = req.body.content;
-    
     if (req.file) {
-      // Extract text from uploaded file
-      content = await extractTextFromFile(req.file);
+      // Extract text from uploaded file (DOCX arrives as Space-O HTML, its pictures as image assets)
+      images = new DocxImageExtractor(docxImageOptions);
+      content = await extractTextFromFile(req.file, images);
+      format = getFormatFromFileName(req.file.originalname);
+      isConvertedDocx = format === 'docx';
     }
 
     // Parse with AI using Groq
@@ -103,19 +122,26 @@ app.post('/api/parse-with-ai', upload.single('document'), async (req, res) => {
     
     res.json({
       success: true,
-      data: aiParsedContent,
+      data: withImageAssets(aiParsedContent, images),
       source: 'ai'
     });
 
   } catch (error) {
     console.error('AI parsing failed:', error);
     
-    // Fallback to rule-based parsing
+    // Fallback to rule-based parsing (DOCX structure is already known, no guessing needed)
     try {
-      const fallbackContent = await parseContentWithRules(content || req.body.content || '');
+      // Converted DOCX is checked like any other draft (images without alt text, tables with guessed headers)
+      const fallbackContent = isConvertedDocx
+        ? {
+          html: content,
+          structure: analyzeHTMLStructure(content),
+          metadata: { source: 'docx', warnings: contentParser.describeHTML(content).warnings, processingTime: Date.now() }
+        }
+        : contentParser.parse(content || req.body.content || '', { format });
       res.json({
         success: true,
-        data: fallbackContent,
+        data: withImageAssets(fallbackContent, images),
         source: 'fallback',
         warning: 'AI parsing failed, using rule-based fallback'
       });
@@ -138,20 +164,20 @@ app.post('/api/fetch-url', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Handle Google Docs URLs
-    let fetchUrl = url;
-    if (url.includes('docs.google.com') && url.includes('/edit')) {
-      // Convert Google Docs edit URL to export URL
-      const docId = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
-      if (docId) {
-        fetchUrl = `https://docs.google.com/document/d/${docId[1]}/export?format=txt`;
-      }
+    const fetchedContent = await fetchDocumentFromUrl(getExportUrl(url));
+
+    if (isGoogleLoginPage(fetchedContent)) {
+      throw new Error('Document is not publicly accessible');
     }
 
-    const fetchedContent = await fetchDocumentFromUrl(fetchUrl);
+    const format = getFormatFromContentType(fetchedContent.contentType);
     res.json({
       success: true,
-      data: fetchedContent
+      data: {
+        ...fetchedContent,
+        format: format,
+        html: format === 'html' ? contentParser.convertHTMLToSpaceO(fetchedContent.content) : undefined
+      }
     });
 
   } catch (error) {
@@ -166,6 +192,8 @@ app.post('/api/fetch-url', async (req, res) => {
  * Parse content using Groq AI with llama-3.1-70b-versatile model
  */
 async function parseContentWithAI(content) {
+  // Embedded images stay out of the prompt and go back into the returned HTML
+  const embedded = contentParser.stashDataURIs(content);
   const prompt = `
 You are a professional content parser specialized in converting documents to HTML with Space-O Technologies blog format.
 
@@ -173,8 +201,11 @@ Parse the following document and convert it to structured HTML with these requir
 
 1. IMPORTANT - Identify main sections/headings and convert them to H2 tags with proper IDs:
    <h2 id="section-name">Section Title</h2>
+   Lines marked by the author as "H2: Title", "[H3] Title" or "## Title" are headings of exactly that level
+   (H1 becomes H2, deeper than H4 becomes H4); drop the marker from the heading text.
    
-2. ALWAYS generate Table of Contents (TOC) using ONLY H2 headings:
+2. ${contentParser.sectionPlacer.describe()}
+   The Table of Contents lists the H2 headings:
    <div class="blog_index_cover">
      <p class="blog_index_toggle_btn fonts-16 w-700">Table Of Contents</p>
      <ol class="blog_index">
@@ -203,7 +234,7 @@ Parse the following document and convert it to structured HTML with these requir
 8. Preserve any tables, links, and formatting
 
 Document content:
-${content}
+${embedded.content}
 
 Return only clean, valid HTML following the Space-O Technologies format.`;
 
@@ -225,104 +256,51 @@ Return only clean, valid HTML following the Space-O Technologies format.`;
     throw new Error('AI did not return valid content');
   }
 
+  // Sanitized, with the same warnings (e.g. images without alt text) as the Vercel function
+  const { html, warnings } = contentParser.readAIOutput(embedded.restore(htmlContent));
+
   return {
-    html: htmlContent.trim(),
-    structure: analyzeHTMLStructure(htmlContent),
+    html: html,
+    structure: analyzeHTMLStructure(html),
     metadata: {
       model: 'llama-3.1-70b-versatile',
       tokens: completion.usage?.total_tokens || 0,
+      warnings: warnings,
       processingTime: Date.now()
     }
   };
 }
 
 /**
- * Rule-based parsing fallback
+ * Map an uploaded file name to the content format used by the parsers
  */
-async function parseContentWithRules(content) {
-  // Basic rule-based parsing logic
-  let html = '';
-  const lines = content.split('\n').filter(line => line.trim());
-  const structure = {
-    headings: [],
-    paragraphs: [],
-    lists: []
+function getFormatFromFileName(fileName) {
+  const formats = {
+    '.txt': 'text',
+    '.md': 'markdown',
+    '.html': 'html',
+    '.docx': 'docx'
   };
+  return formats[path.extname(fileName).toLowerCase()] || 'text';
+}
 
-  let inList = false;
-  let currentListType = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    
-    if (!line) continue;
-
-    // Detect headings
-    if (isHeading(line)) {
-      if (inList) {
-        html += closeList(currentListType);
-        inList = false;
-      }
-      
-      const level = getHeadingLevel(line);
-      const text = cleanHeadingText(line);
-      const id = generateId(text);
-      
-      html += `<h${level} id="${id}">${text}</h${level}>\n`;
-      structure.headings.push({ level, text, id });
-    }
-    
-    // Detect lists
-    else if (isListItem(line)) {
-      const listType = getListType(line);
-      const itemText = cleanListItem(line);
-      
-      if (!inList || currentListType !== listType) {
-        if (inList) html += closeList(currentListType);
-        html += openList(listType);
-        inList = true;
-        currentListType = listType;
-      }
-      
-      html += `  <li>${itemText}</li>\n`;
-    }
-    
-    // Regular paragraphs
-    else {
-      if (inList) {
-        html += closeList(currentListType);
-        inList = false;
-      }
-      html += `<p>${line}</p>\n`;
-      structure.paragraphs.push({ text: line });
-    }
-  }
-
-  if (inList) {
-    html += closeList(currentListType);
-  }
-
-  // Generate TOC from H2 headings only
-  const h2Headings = structure.headings.filter(h => h.level === 2);
-  if (h2Headings.length > 0) {
-    const toc = generateTableOfContents(h2Headings);
-    html = toc + '\n' + html;
-  }
-
+/**
+ * Point the HTML of a result at the extracted DOCX images and list them as assets
+ * ("files" mode references images/<name>, "data-uri" mode embeds them)
+ */
+function withImageAssets(data, images) {
+  if (!images) return data;
   return {
-    html: html,
-    structure: structure,
-    metadata: {
-      source: 'rule-based',
-      processingTime: Date.now()
-    }
+    ...data,
+    html: images.resolve(data.html),
+    assets: images.getAssets()
   };
 }
 
 /**
  * Extract text from uploaded file
  */
-async function extractTextFromFile(file) {
+async function extractTextFromFile(file, images) {
   const fileExtension = path.extname(file.originalname).toLowerCase();
   
   switch (fileExtension) {
@@ -333,42 +311,7 @@ async function extractTextFromFile(file) {
       return file.buffer.toString('utf8');
     
     case '.docx':
-      const mammoth = require('mammoth');
-      // Use convertToHtml to preserve table structure instead of extractRawText
-      const result = await mammoth.convertToHtml({ buffer: file.buffer });
-      
-      // Convert HTML to plain text but preserve table structure using markdown-like format
-      const htmlContent = result.value;
-      
-      // Parse HTML and convert tables to markdown format that our parser can handle
-      const { JSDOM } = require('jsdom');
-      const dom = new JSDOM(htmlContent);
-      const document = dom.window.document;
-      
-      // Convert HTML tables to pipe-separated format
-      const tables = document.querySelectorAll('table');
-      tables.forEach(table => {
-        let tableMarkdown = '\n';
-        const rows = table.querySelectorAll('tr');
-        
-        rows.forEach((row, index) => {
-          const cells = row.querySelectorAll('th, td');
-          const cellTexts = Array.from(cells).map(cell => cell.textContent.trim());
-          tableMarkdown += '| ' + cellTexts.join(' | ') + ' |\n';
-          
-          // Add separator after header row
-          if (index === 0 && rows.length > 1) {
-            const separator = '|' + cellTexts.map(() => ' --- ').join('|') + '|\n';
-            tableMarkdown += separator;
-          }
-        });
-        
-        // Replace the table element with markdown text
-        table.outerHTML = tableMarkdown;
-      });
-      
-      // Extract final text content
-      return document.body.textContent || document.textContent || '';
+      return await convertDocxToSpaceOHTML(file.buffer, images);
     
     case '.html':
       return file.buffer.toString('utf8');
@@ -379,132 +322,73 @@ async function extractTextFromFile(file) {
 }
 
 /**
- * Fetch document from URL
+ * Convert DOCX with mammoth, keeping Word headings, inline formatting, links,
+ * lists, tables and images, and import the result into Space-O blog markup
+ * Pictures are handed to the DocxImageExtractor and referenced by their asset path
+ * (kept short so the HTML fits the AI prompt; data URIs are swapped in afterwards)
  */
-async function fetchDocumentFromUrl(url) {
-  const https = require('https');
-  const http = require('http');
-  
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
-    
-    client.get(url, (res) => {
-      let data = '';
-      
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-      
-      res.on('end', () => {
-        resolve({
-          content: data,
-          contentType: res.headers['content-type'] || 'text/plain',
-          url: url
-        });
-      });
-    }).on('error', (err) => {
-      reject(err);
-    });
+async function convertDocxToSpaceOHTML(buffer, images = new DocxImageExtractor(docxImageOptions)) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.convertToHtml({ buffer: buffer }, {
+    styleMap: [
+      "p[style-name='Title'] => h1:fresh",
+      "p[style-name='Subtitle'] => h2:fresh",
+      // Consecutive code paragraphs form one <pre>, like the browser's DocxReader makes one code block
+      "p[style-name='Code'] => pre:separator('\\n')",
+      "p[style-name='Code Block'] => pre:separator('\\n')",
+      "p[style-name='Source Code'] => pre:separator('\\n')",
+      "p[style-name='HTML Preformatted'] => pre:separator('\\n')"
+    ],
+    convertImage: mammoth.images.imgElement(image => images.convert(image))
   });
-}
-
-// Helper functions for rule-based parsing
-function isHeading(line) {
-  // Check for various heading patterns
-  const patterns = [
-    // All caps (traditional heading style)
-    line.length > 3 && line === line.toUpperCase() && /^[A-Z\s\d\-\.,!?]+$/.test(line),
-    
-    // Numbered headings (1. Introduction, 2.1 Overview, etc.)
-    /^\d+(\.\d+)*\.?\s+[A-Z][^.]*$/.test(line),
-    
-    // Questions as headings
-    line.endsWith('?') && line.length > 10 && line.charAt(0) === line.charAt(0).toUpperCase(),
-    
-    // Title case headings (starts with capital, reasonable length)
-    /^[A-Z][a-z]+(\s+[A-Z][a-z]*)*(\s+[a-z]+)*[^.]*$/.test(line) && line.length > 5 && line.length < 100,
-    
-    // Mixed case but structured headings
-    /^[A-Z][^.]*[^.]$/.test(line) && line.split(' ').length >= 2 && line.split(' ').length <= 15,
-    
-    // Headings with colons
-    /^[A-Z][^:]*:$/.test(line)
-  ];
-  
-  return patterns.some(pattern => pattern);
-}
-
-function getHeadingLevel(line) {
-  // Main numbered sections (1. 2. 3.) -> H2 for TOC
-  if (line.match(/^\d+\.\s+/)) return 2;
-  
-  // Sub-sections (1.1, 2.1) -> H3
-  if (line.match(/^\d+\.\d+/)) return 3;
-  
-  // All caps long headings -> H1 (main title)
-  if (line.length > 20 && line === line.toUpperCase()) return 1;
-  
-  // Questions -> H3 (sub-sections)
-  if (line.endsWith('?')) return 3;
-  
-  // Headings with colons (usually section introductions) -> H2
-  if (line.endsWith(':')) return 2;
-  
-  // Default to H2 for TOC inclusion (main sections)
-  return 2;
-}
 
-function cleanHeadingText(line) {
-  return line.replace(/^\d+\.\s+/, '').trim();
+  return contentParser.convertHTMLToSpaceO(result.value);
 }
 
-function isListItem(line) {
-  return /^[-•*]\s+/.test(line) || /^\d+\.\s+/.test(line);
-}
-
-function getListType(line) {
-  return /^\d+\./.test(line) ? 'ordered' : 'unordered';
+/**
+ * Google Docs links are fetched through the HTML export (keeps links, formatting, tables and images)
+ */
+function getExportUrl(url) {
+  const docIdMatch = url.match(/\/document\/d\/([a-zA-Z0-9-_]+)/);
+  if (url.includes('docs.google.com/document') && docIdMatch) {
+    return `https://docs.google.com/document/d/${docIdMatch[1]}/export?format=html`;
+  }
+  return url;
 }
 
-function cleanListItem(line) {
-  return line.replace(/^[-•*\d+.]\s+/, '').trim();
+/**
+ * Private Google Docs redirect to the sign-in page instead of failing
+ */
+function isGoogleLoginPage(fetched) {
+  return fetched.url.includes('accounts.google.com') ||
+    (fetched.content.includes('<HTML>') && fetched.content.includes('Temporary Redirect'));
 }
 
-function openList(type) {
-  const className = type === 'ordered' ? 'listing-bx' : 'bullet-new-box';
-  const tag = type === 'ordered' ? 'ol' : 'ul';
-  return `<${tag} class="${className}">\n`;
+/**
+ * Content format from the response type (null when the content itself has to tell)
+ */
+function getFormatFromContentType(contentType) {
+  if (contentType.includes('text/html')) return 'html';
+  if (contentType.includes('markdown')) return 'markdown';
+  return null;
 }
 
-function closeList(type) {
-  const tag = type === 'ordered' ? 'ol' : 'ul';
-  return `</${tag}>\n`;
-}
+/**
+ * Fetch document from URL (following redirects, e.g. Google export links)
+ */
+async function fetchDocumentFromUrl(url) {
+  const fetch = (await import('node-fetch')).default;
+  const response = await fetch(url);
 
-function generateId(text) {
-  return text.toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '') // Remove special characters except word chars, spaces, hyphens
-    .replace(/\s+/g, '-')     // Replace spaces with hyphens
-    .replace(/-+/g, '-')      // Replace multiple hyphens with single
-    .replace(/^-+|-+$/g, '')  // Remove leading/trailing hyphens
-    .substring(0, 50)         // Limit length
-    .replace(/-$/, '');       // Remove trailing hyphen if present
-}
+  if (!response.ok) {
+    throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
+  }
 
-function generateTableOfContents(headings) {
-  let toc = `<div class="blog_index_cover">
-    <p class="blog_index_toggle_btn fonts-16 w-700">Table Of Contents</p>
-    <ol class="blog_index">`;
-  
-  headings.forEach(heading => {
-    toc += `        <li><a href="#${heading.id}">${heading.text}</a></li>\n`;
-  });
-  
-  toc += `    </ol>
-</div>`;
-  
-  return toc;
+  return {
+    content: await response.text(),
+    contentType: response.headers.get('content-type') || 'text/plain',
+    url: response.url || url
+  };
 }
 
 function analyzeHTMLStructure(html) {
@@ -0,0 +1,222 @@
+/**
+ * Space-O Renderer
+ * Turns the document model (see document-model.js) into Space-O Technologies blog HTML
+ */
+
+class SpaceORenderer {
+    /**
+     * @param {Object} options - { toc } TOCBuilder options (depth, numbering),
+     *                            { faq: { accordion, schema } } FAQ toggles and FAQPage JSON-LD (on by default),
+     *                            { steps: { schema } } HowTo JSON-LD for STEPS sections (off by default),
+     *                            { code: { highlight } } pre-highlights code blocks with Prism (off by default)
+     */
+    constructor(options = {}) {
+        this.faqOptions = { accordion: false, schema: true, ...options.faq };
+        this.stepsOptions = { schema: false, ...options.steps };
+        this.codeOptions = { highlight: false, ...options.code };
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.tableBuilder = new (typeof TableBuilder !== 'undefined' ? TableBuilder : require('./table-builder'))();
+        this.tocBuilder = new (typeof TOCBuilder !== 'undefined' ? TOCBuilder : require('./toc-builder'))(options.toc);
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
+        this.inlineFormatter = new (typeof InlineFormatter !== 'undefined' ? InlineFormatter : require('./inline-formatter'))();
+    }
+
+    /**
+     * Render a document to HTML
+     * @param {Object} document - Document node from DocumentModel.document()
+     * @returns {string}
+     */
+    render(document) {
+        const context = {
+            toc: this.tocBuilder.collect(document),
+            // Per-document overrides from the front matter (FrontMatterParser.getSettings)
+            settings: document.metadata.settings || {}
+        };
+
+        return document.blocks.map(block => this.renderBlock(block, context)).join('') +
+            this.renderFAQSchema(document) +
+            this.renderHowToSchema(document);
+    }
+
+    /**
+     * One FAQPage JSON-LD script for all FAQ sections of the document
+     * @param {Object} document
+     * @returns {string}
+     */
+    renderFAQSchema(document) {
+        if (!this.faqOptions.schema) return '';
+
+        const faqItems = document.blocks
+            .filter(block => block.type === 'section' && block.sectionType === 'faq')
+            .reduce((items, section) => items.concat(section.children), []);
+        return faqItems.length ? this.sectionDetector.renderFAQSchema(faqItems) + '\n' : '';
+    }
+
+    /**
+     * A HowTo JSON-LD script per STEPS section, named after the chapter heading above it
+     * @param {Object} document
+     * @returns {string}
+     */
+    renderHowToSchema(document) {
+        if (!this.stepsOptions.schema) return '';
+
+        return document.blocks.map((block, index) => {
+            if (block.type !== 'section' || block.sectionType !== 'steps' || block.children.length === 0) return '';
+
+            // A plain "STEPS" heading only marks the section, the chapter heading says what the steps achieve
+            const headings = document.blocks.slice(0, index).filter(previous => previous.type === 'heading').reverse();
+            const heading = headings.find(previous => !this.sectionDetector.detectSectionType(this.model.getPlainText(previous.text))) || headings[0];
+            return this.sectionDetector.renderHowToSchema(block.children, heading ? heading.text : 'Steps') + '\n';
+        }).join('');
+    }
+
+    /**
+     * Render a single block
+     * @param {Object} block
+     * @param {Object} context - { toc } TOC entries of the whole document, { settings } front matter overrides
+     * @returns {string}
+     */
+    renderBlock(block, context) {
+        switch (block.type) {
+            case 'heading':
+                return `<h${block.level} id="${block.id}">${block.text}</h${block.level}>\n`;
+            case 'paragraph':
+                return `<p>${this.renderInline(block)}</p>\n`;
+            case 'list':
+                return this.renderList(block, context);
+            case 'table':
+                return this.tableBuilder.render(block) + '\n';
+            case 'section':
+                return this.renderSection(block, context);
+            case 'cta': {
+                // Empty fields fall back to the document's CTA defaults (plain front matter text), then to the template's
+                const defaults = context.settings.cta || {};
+                return this.sectionDetector.processSectionContent(block.variant, '', [
+                    block.heading || this.sanitizer.escapeText(defaults.heading),
+                    block.description || this.sanitizer.escapeText(defaults.description),
+                    block.buttonText || this.sanitizer.escapeText(defaults.buttonText),
+                    block.imageUrl || this.sanitizer.escapeText(defaults.imageUrl)
+                ]);
+            }
+            case 'image': {
+                const figure = this.sectionDetector.renderImage(block);
+                return figure ? figure + '\n' : '';
+            }
+            case 'code':
+                return this.renderCode(block);
+            case 'blockquote':
+                return `<blockquote>\n${block.children.map(child => this.renderBlock(child, context)).join('')}</blockquote>\n`;
+            case 'html':
+                // Raw HTML from Markdown drafts keeps only the allowed markup
+                return this.sanitizer.sanitize(block.html) + '\n';
+            default:
+                return '';
+        }
+    }
+
+    renderList(list, context) {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const className = list.ordered ? 'listing-bx' : 'bullet-new-box';
+        let html = `<${tag} class="${className}">\n`;
+
+        list.items.forEach(item => {
+            const children = item.children.map(child => this.renderBlock(child, context)).join('');
+            html += `  <li>${this.renderInline(item)}${children}</li>\n`;
+        });
+
+        return html + `</${tag}>\n`;
+    }
+
+    renderSection(section, context) {
+        switch (section.sectionType) {
+            case 'toc':
+                // Levels beyond maxLevel are left out of the TOC (e.g. H2-only TOCs); a document's toc_depth wins
+                return this.tocBuilder.render(context.toc, { maxLevel: context.settings.tocDepth || section.maxLevel });
+            case 'faq':
+                return this.sectionDetector.renderFAQSection(section.children, this.faqOptions);
+            case 'steps':
+                return this.sectionDetector.renderStepsSection(section.children);
+            default:
+                return this.sectionDetector.processSectionContent(section.sectionType, '', section.items);
+        }
+    }
+
+    /**
+     * Inline content of a paragraph or list item as HTML
+     * @param {Object} node - Block or list item with text (and html flag)
+     * @returns {string}
+     */
+    renderInline(node) {
+        return node.html ? node.text : this.formatInline(node.text);
+    }
+
+    /**
+     * Code block as <pre><code class="language-x">, the class Prism looks for on the blog
+     * @param {Object} block - Code node
+     * @returns {string}
+     */
+    renderCode(block) {
+        const language = (block.language || '').toLowerCase().replace(/[^\w+#-]/g, '');
+        const languageClass = language ? ` class="language-${language}"` : '';
+        const highlighted = this.codeOptions.highlight && language ? this.highlight(block.code, language) : null;
+        const code = highlighted !== null ? highlighted : this.sanitizer.escapeText(block.code);
+        return `<pre><code${languageClass}>${code}</code></pre>\n`;
+    }
+
+    /**
+     * Highlight code with Prism: the page's copy in the browser (languages the autoloader has fetched),
+     * the optional prismjs dependency in Node.js, which loads the grammar on demand
+     * @param {string} code
+     * @param {string} language
+     * @returns {string|null} Highlighted HTML, or null without Prism or a grammar for the language
+     */
+    highlight(code, language) {
+        const prism = this.loadPrism();
+        if (!prism) return null;
+
+        if (!prism.languages[language] && typeof window === 'undefined') {
+            const loadLanguages = require('prismjs/components/');
+            loadLanguages.silent = true;
+            loadLanguages([language]);
+        }
+
+        const grammar = prism.languages[language];
+        return grammar ? prism.highlight(code, grammar, language) : null;
+    }
+
+    /**
+     * @returns {Object|null} Prism, or null when it isn't loaded or installed
+     */
+    loadPrism() {
+        if (typeof Prism !== 'undefined') return Prism;
+
+        // Looked up once per process
+        if (SpaceORenderer.prism === undefined) {
+            try {
+                SpaceORenderer.prism = require('prismjs');
+            } catch (error) {
+                console.warn('prismjs is not installed, code blocks are not highlighted');
+                SpaceORenderer.prism = null;
+            }
+        }
+        return SpaceORenderer.prism;
+    }
+
+    /**
+     * Format inline markup (**bold**, *italic*, ~~strikethrough~~, `code`, [links](url "title"), <autolinks>)
+     * The text is escaped first, so "a < b" and "<script>" come out as text
+     * @param {string} text
+     * @returns {string}
+     */
+    formatInline(text) {
+        return this.inlineFormatter.format(text);
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpaceORenderer;
+} else {
+    window.SpaceORenderer = SpaceORenderer;
+}
@@ -0,0 +1,413 @@
+/**
+ * Table Builder for Space-O Technologies Blog Format
+ * Builds table blocks from text rows (pipe, tab, space or one cell per line), attaches captions
+ * and renders tables with header rows, alignment and merged cells as blog table markup
+ */
+
+class TableBuilder {
+    constructor() {
+        this.model = typeof DocumentModel !== 'undefined' ? DocumentModel : require('./document-model');
+        this.sanitizer = new (typeof HTMLSanitizer !== 'undefined' ? HTMLSanitizer : require('./html-sanitizer'))();
+    }
+
+    /**
+     * Build a table block from raw table lines (pipe, tab, space or one-cell-per-line format)
+     * The first row is the header; a GFM delimiter row (|:---|:---:|) after it sets column alignment
+     * @param {Array<string>} items
+     * @param {Object} options - { columns } declared column count (e.g. <TABLE cols=3>)
+     * @returns {Object} Table block
+     */
+    build(items, options = {}) {
+        const hasTabsInItems = items.some(item => item.includes('\t'));
+        const hasPipesInItems = items.some(item => item.includes('|'));
+        const cells = this.normalizeCells(items);
+
+        // Google Docs format: each cell on a separate line
+        if (!hasTabsInItems && !hasPipesInItems && (cells.length > 4 || options.columns)) {
+            return this.buildCellPerLineTable(cells, options);
+        }
+
+        // Blank lines hold no cells in delimited tables
+        const rows = items.filter(item => item.trim()).map(item => this.splitRow(item));
+        let align = [];
+
+        if (rows.length > 1) {
+            const delimiterRow = this.parseAlignmentRow(rows[1]);
+            if (delimiterRow) {
+                align = delimiterRow;
+                rows.splice(1, 1);
+            }
+        }
+
+        // Rows without delimiters (e.g. group titles) span the whole table
+        const columns = Math.max(1, ...rows.map(row => row.length));
+        const toCells = row => row.length === 1 && columns > 1
+            ? [this.model.tableCell(row[0], { colspan: columns })]
+            : row.map(cell => this.model.tableCell(cell));
+
+        return this.model.table(
+            rows.length > 0 ? [toCells(rows[0])] : [],
+            rows.slice(1).map(toCells),
+            { align: align }
+        );
+    }
+
+    /**
+     * Split a table row into cells, keeping empty cells so columns stay aligned
+     * @param {string} line
+     * @returns {Array<string>}
+     */
+    splitRow(line) {
+        const row = line.trim();
+
+        // Pipe-separated format first (most explicit); outer pipes are optional
+        if (row.includes('|')) {
+            const cells = row.split('|');
+            if (row.startsWith('|')) cells.shift();
+            if (row.endsWith('|') && cells.length > 1) cells.pop();
+            return cells.map(cell => cell.trim());
+        }
+        // Tab-separated format (Google Docs export)
+        if (row.includes('\t')) {
+            return row.split('\t').map(cell => cell.trim());
+        }
+        // Multiple spaces format (3 or more spaces)
+        if (/\s{3,}/.test(row)) {
+            return row.split(/\s{3,}/).map(cell => cell.trim());
+        }
+        return [row];
+    }
+
+    /**
+     * Read column alignment from a GFM delimiter row
+     * @param {Array<string>} cells
+     * @returns {Array<string>|null} 'left', 'center', 'right' or '' per column; null if not a delimiter row
+     */
+    parseAlignmentRow(cells) {
+        if (cells.length === 0 || !cells.every(cell => /^:?-+:?$/.test(cell))) return null;
+
+        return cells.map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : '';
+        });
+    }
+
+    /**
+     * Trim table cells; blank lines are empty cells unless they only separate cells
+     * @param {Array<string>} items
+     * @returns {Array<string>}
+     */
+    normalizeCells(items) {
+        let cells = items.map(item => item.trim());
+
+        while (cells.length > 0 && !cells[0]) cells.shift();
+        while (cells.length > 0 && !cells[cells.length - 1]) cells.pop();
+
+        // Every other line blank: the blank lines are separators, not cells
+        const separated = cells.length >= 3 && cells.every((cell, index) => (index % 2 === 1) === !cell);
+        if (separated) {
+            cells = cells.filter((cell, index) => index % 2 === 0);
+        }
+
+        return cells;
+    }
+
+    /**
+     * Rebuild rows from one cell per line. Merged cells export as one cell plus empty ones,
+     * and empty cells are kept, so columns stay aligned once the column count is known.
+     * @param {Array<string>} cells
+     * @param {Object} options - { columns }
+     * @returns {Object} Table block, with a warning when the layout is a guess
+     */
+    buildCellPerLineTable(cells, options = {}) {
+        const layout = options.columns
+            ? { columns: options.columns, confident: true }
+            : this.inferColumnCount(cells);
+        const columns = layout.columns;
+
+        const rows = [];
+        for (let i = 0; i < cells.length; i += columns) {
+            rows.push(cells.slice(i, i + columns));
+        }
+
+        const table = this.model.table(rows.slice(0, 1), rows.slice(1));
+        const label = cells[0] ? `Table "${cells[0]}"` : 'Table';
+
+        if (!layout.confident) {
+            table.warning = `${label}: could not tell the number of columns, assumed ${columns}. Declare it with <TABLE cols=N>.`;
+        } else if (cells.length % columns !== 0) {
+            table.warning = `${label}: ${cells.length} cells do not fill ${columns} columns, the last row was padded.`;
+        }
+
+        return table;
+    }
+
+    /**
+     * Infer the column count of a one-cell-per-line table by scoring each candidate on
+     * how consistently its columns hold one kind of value, whether the first row reads
+     * like a header, and whether the cells fill whole rows
+     * @param {Array<string>} cells
+     * @returns {Object} { columns, confident }
+     */
+    inferColumnCount(cells) {
+        // A bold header row (**Name** / <strong>Name</strong>) gives the count directly
+        const isBold = cell => /^(\*\*[\s\S]+\*\*|<strong>[\s\S]+<\/strong>)$/i.test(cell);
+        const headerLength = cells.findIndex(cell => !isBold(cell));
+        if (headerLength >= 2) {
+            return { columns: headerLength, confident: true };
+        }
+
+        const maxColumns = Math.min(8, Math.floor(cells.length / 2));
+        const candidates = [];
+
+        for (let columns = 2; columns <= maxColumns; columns++) {
+            candidates.push({ columns: columns, score: this.scoreColumnLayout(cells, columns) });
+        }
+
+        if (candidates.length === 0) {
+            return { columns: Math.max(cells.length, 1), confident: cells.length <= 1 };
+        }
+
+        candidates.sort((a, b) => b.score - a.score || a.columns - b.columns);
+        const [best, runnerUp] = candidates;
+
+        // A close runner-up means the cells fit several layouts equally well, and
+        // cells of a single kind fit every layout
+        const kinds = new Set(cells.filter(cell => cell).map(cell => this.getCellKind(cell)));
+        const confident = best.score >= 0.75 &&
+            (!runnerUp || best.score - runnerUp.score >= 0.05) &&
+            kinds.size > 1;
+        return { columns: best.columns, confident: confident };
+    }
+
+    /**
+     * Score a column count between 0 and 1
+     * @param {Array<string>} cells
+     * @param {number} columns
+     * @returns {number}
+     */
+    scoreColumnLayout(cells, columns) {
+        const header = cells.slice(0, columns);
+        const dataCells = cells.slice(columns);
+
+        // Consistency: share of each column's cells matching the column's most common kind
+        const ratios = [];
+        for (let column = 0; column < columns; column++) {
+            const kinds = dataCells
+                .filter((cell, index) => index % columns === column && cell)
+                .map(cell => this.getCellKind(cell));
+            if (kinds.length < 2) continue;
+
+            const counts = {};
+            kinds.forEach(kind => { counts[kind] = (counts[kind] || 0) + 1; });
+            ratios.push(Math.max(...Object.values(counts)) / kinds.length);
+        }
+        const consistency = ratios.length > 0
+            ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length
+            : 0.5;
+
+        // Header: labels rather than values or blanks
+        const labels = header.filter(cell => cell && ['label', 'text'].includes(this.getCellKind(cell))).length;
+        const headerScore = labels / columns;
+
+        const fill = cells.length % columns === 0 ? 1 : 0;
+
+        return 0.6 * consistency + 0.2 * headerScore + 0.2 * fill;
+    }
+
+    /**
+     * Classify a cell value (number, flag, short label or text)
+     * @param {string} cell
+     * @returns {string}
+     */
+    getCellKind(cell) {
+        const value = cell.replace(/<[^>]*>|\*\*/g, '').trim();
+        // Amounts, percentages and quantities with a short unit (5 GB, 30 min)
+        const number = '[$€£₹]?\\s*\\d[\\d,.]*\\s*(%|\\+|[a-z]{1,3}\\b)?';
+
+        if (new RegExp(`^[~<>≈]?\\s*${number}(\\s*[-–]\\s*${number})?(\\s*/\\s*\\w+)?$`, 'i').test(value)) {
+            return 'number';
+        }
+        if (/^(yes|no|true|false|n\/a|none|✓|✔|✗|✘|x|-)$/i.test(value)) {
+            return 'flag';
+        }
+        return value.split(/\s+/).length <= 3 ? 'label' : 'text';
+    }
+
+    /**
+     * Turn caption lines ("Table: Pricing", "Table 2. Plan limits") next to a table into
+     * the table's caption. A caption above the table wins over one below it.
+     * @param {Array<Object>} blocks
+     * @returns {Array<Object>}
+     */
+    attachCaptions(blocks) {
+        const result = [];
+
+        for (let i = 0; i < blocks.length; i++) {
+            const block = blocks[i];
+            const caption = this.getCaption(block);
+            const next = blocks[i + 1];
+            const previous = result[result.length - 1];
+
+            if (caption && next && next.type === 'table' && !next.caption) {
+                next.caption = caption;
+                continue;
+            }
+            if (caption && previous && previous.type === 'table' && !previous.caption) {
+                previous.caption = caption;
+                continue;
+            }
+            result.push(block);
+        }
+
+        return result;
+    }
+
+    /**
+     * Caption of a paragraph or heading that reads like a table caption, as escaped text
+     * @param {Object} block
+     * @returns {string|null}
+     */
+    getCaption(block) {
+        if (!block || !['paragraph', 'heading'].includes(block.type)) return null;
+
+        const text = block.html || block.type === 'heading' ? this.model.getPlainText(block.text) : block.text;
+        const match = text.trim().match(/^Table(\s+\d+)?\s*[:.–-]\s*(\S.*)$/i);
+        if (!match) return null;
+
+        // Numbered captions keep their number ("Table 2. Plan limits")
+        return this.sanitizer.escapeText(match[1] ? text.trim() : match[2]);
+    }
+
+    /**
+     * Lay out rows on the column grid, accounting for cells spanning rows or columns
+     * @param {Array<Array<Object>>} rows
+     * @returns {Array<Object>} Per row: { cells: [{ cell, column }], occupied: Array<boolean> }
+     */
+    layoutRows(rows) {
+        const covered = []; // rows still covered per column by a rowspan from above
+
+        return rows.map(row => {
+            const cells = [];
+            const occupied = covered.map(count => count > 0);
+            let column = 0;
+
+            row.forEach(cell => {
+                while (occupied[column]) column++;
+                cells.push({ cell: cell, column: column });
+
+                const colspan = cell.colspan || 1;
+                for (let i = column; i < column + colspan; i++) {
+                    occupied[i] = true;
+                    covered[i] = Math.max(covered[i] || 0, cell.rowspan || 1);
+                }
+                column += colspan;
+            });
+
+            for (let i = 0; i < covered.length; i++) {
+                if (covered[i] > 0) covered[i]--;
+            }
+
+            return { cells: cells, occupied: occupied };
+        });
+    }
+
+    /**
+     * Number of grid columns in a table
+     * @param {Object} table
+     * @returns {number}
+     */
+    getColumnCount(table) {
+        const widths = [table.head, table.rows]
+            .flatMap(rows => this.layoutRows(rows))
+            .map(row => row.occupied.length);
+        return Math.max(0, table.align.length, ...widths);
+    }
+
+    /**
+     * Render a table block with Space-O styling
+     * @param {Object} table
+     * @returns {string}
+     */
+    render(table) {
+        const columns = this.getColumnCount(table);
+
+        // Generate table HTML with Space-O styling
+        let tableHtml = `
+<div class="table-responsive travel_table v-middle">
+    <table class="table table-bordered" dir="ltr" border="1" cellspacing="0" cellpadding="0">`;
+
+        if (table.caption) {
+            tableHtml += `\n        <caption>${table.caption}</caption>`;
+        }
+
+        if (table.head.length > 0) {
+            tableHtml += '\n        <thead>';
+            tableHtml += this.renderRows(table.head, table, columns, 'th');
+            tableHtml += '\n        </thead>';
+        }
+
+        tableHtml += '\n        <tbody>';
+        tableHtml += this.renderRows(table.rows, table, columns, 'td');
+        tableHtml += `
+        </tbody>
+    </table>
+</div>`;
+
+        return tableHtml;
+    }
+
+    /**
+     * Render header or body rows, padding short rows with empty cells
+     * @param {Array<Array<Object>>} rows
+     * @param {Object} table
+     * @param {number} columns
+     * @param {string} tag - th or td
+     * @returns {string}
+     */
+    renderRows(rows, table, columns, tag) {
+        const colWidth = Math.floor(100 / Math.max(columns, 1));
+        let html = '';
+
+        this.layoutRows(rows).forEach((row, rowIndex) => {
+            html += '\n            <tr>\n';
+
+            row.cells.forEach(({ cell, column }) => {
+                const colspan = cell.colspan || 1;
+                const styles = [];
+                // Header cells of the first row set the column widths
+                if (tag === 'th' && rowIndex === 0) styles.push(`width: ${colWidth * colspan}%;`);
+                const align = cell.align || table.align[column];
+                if (align) styles.push(`text-align: ${align};`);
+
+                let attributes = '';
+                if (colspan > 1) attributes += ` colspan="${colspan}"`;
+                if (cell.rowspan > 1) attributes += ` rowspan="${cell.rowspan}"`;
+                if (styles.length > 0) attributes += ` style="${styles.join(' ')}"`;
+
+                html += `                <${tag}${attributes}>${cell.text}</${tag}>\n`;
+            });
+
+            // Ensure row has enough columns (pad with empty cells if needed)
+            for (let column = 0; column < columns; column++) {
+                if (row.occupied[column]) continue;
+                const align = table.align[column];
+                html += align ? `                <${tag} style="text-align: ${align};"></${tag}>\n` : `                <${tag}></${tag}>\n`;
+            }
+
+            html += '            </tr>';
+        });
+
+        return html;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TableBuilder;
+} else {
+    window.TableBuilder = TableBuilder;
+}
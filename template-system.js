@@ -5,6 +5,9 @@
 
 class TemplateSystem {
     constructor() {
+        this.anchors = new AnchorService();
+        this.frontMatterParser = new FrontMatterParser();
+        this.sanitizer = new HTMLSanitizer();
         this.templates = {
             'tech-blog': this.getTechBlogTemplate(),
             'product-showcase': this.getProductShowcaseTemplate(),
@@ -35,15 +38,16 @@ class TemplateSystem {
      * Apply template to content
      * @param {string} templateName 
      * @param {Object} content 
+     * @param {Object} frontMatter - The document's front matter
      * @returns {string}
      */
-    applyTemplate(templateName, content) {
+    applyTemplate(templateName, content, frontMatter = {}) {
         const template = this.getTemplate(templateName);
         if (!template) {
             throw new Error(`Template '${templateName}' not found`);
         }
 
-        return this.populateTemplate(template, content);
+        return this.populateTemplate(template, content, frontMatter);
     }
 
     /**
@@ -441,21 +445,34 @@ class TemplateSystem {
 
     /**
      * Populate template with content
+     * Front matter fields fill placeholders of the same name ("product_name: X" fills {{product_name}},
+     * "cta: { heading: X }" fills {{cta_heading}}) over the template defaults
      * @param {Object} template 
      * @param {Object} content 
+     * @param {Object} frontMatter 
      * @returns {string}
      */
-    populateTemplate(template, content) {
+    populateTemplate(template, content, frontMatter = {}) {
         let html = template.html;
 
-        // Merge defaults with provided content
-        const data = { ...template.defaults, ...content };
+        // Front matter is plain text, unlike the generated content; placeholders also sit in attributes,
+        // and URLs ({{cta_image_url}}) in src attributes, where a script scheme is dropped
+        const placeholders = this.frontMatterParser.getPlaceholders(frontMatter);
+        Object.keys(placeholders).forEach(key => {
+            placeholders[key] = key.endsWith('_url')
+                ? this.sanitizer.escapeURL(placeholders[key], true)
+                : this.sanitizer.escapeAttribute(placeholders[key]);
+        });
+
+        // Merge defaults with the front matter and provided content
+        const data = { ...template.defaults, ...placeholders, ...content };
 
         // Replace all placeholders
         Object.keys(data).forEach(key => {
             const placeholder = `{{${key}}}`;
             const value = data[key] || '';
-            html = html.replace(new RegExp(placeholder, 'g'), value);
+            // A function keeps "$&" and "$1" in values literal
+            html = html.replace(new RegExp(placeholder, 'g'), () => value);
         });
 
         return html;
@@ -483,14 +500,18 @@ class TemplateSystem {
         const template = this.getTemplate(templateName);
         if (!template) return {};
 
+        // The structure holds plain text; only the rendered post (main_content) is HTML
         const content = {};
         const structure = parsedDocument.structure;
+        // One unique anchor per heading, shared by the TOC and FAQ entries
+        const usedIds = new Set();
+        const headingIds = new Map((structure.headings || []).map(heading => [heading, this.anchors.unique(this.anchors.slugify(heading.text), usedIds)]));
 
         // Generate TOC items
         if (structure.headings && structure.headings.length > 0) {
             content.toc_items = structure.headings.map((heading, index) => {
-                const id = this.generateId(heading.text);
-                return `<li><a href="#${id}">${heading.text}</a></li>`;
+                const id = headingIds.get(heading);
+                return `<li><a href="#${id}">${this.sanitizer.escapeText(heading.text)}</a></li>`;
             }).join('\n        ');
         }
 
@@ -499,9 +520,9 @@ class TemplateSystem {
             content.faq_items = structure.headings
                 .filter(h => h.text.endsWith('?'))
                 .map((question, index) => {
-                    const id = this.generateId(question.text);
+                    const id = headingIds.get(question);
                     const answer = this.findAnswerForQuestion(question, structure.paragraphs);
-                    return `<h3 id="${id}">${question.text}</h3>\n<p>${answer}</p>`;
+                    return `<h3 id="${id}">${this.sanitizer.escapeText(question.text)}</h3>\n<p>${this.sanitizer.escapeText(answer)}</p>`;
                 }).join('\n    ');
         }
 
@@ -510,7 +531,7 @@ class TemplateSystem {
             const stepsList = structure.lists.find(list => list.type === 'ordered');
             if (stepsList) {
                 content.step_items = stepsList.items.map((step, index) => 
-                    `<li><h3>Step ${index + 1}</h3><p>${step}</p></li>`
+                    `<li><h3>Step ${index + 1}</h3><p>${this.sanitizer.escapeText(step)}</p></li>`
                 ).join('\n        ');
             }
         }
@@ -524,13 +545,6 @@ class TemplateSystem {
     /**
      * Helper functions
      */
-    generateId(text) {
-        return text.toLowerCase()
-            .replace(/[^a-z0-9\s-]/g, '')
-            .replace(/\s+/g, '-')
-            .substring(0, 50);
-    }
-
     findAnswerForQuestion(question, paragraphs) {
         // Simple heuristic: find paragraph after question
         const questionIndex = question.line;
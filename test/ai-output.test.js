@@ -0,0 +1,28 @@
+/**
+ * AI results go through the same shared steps on the Express server and the Vercel function
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const parser = new ContentParser();
+
+test('readAIOutput sanitizes the model HTML', () => {
+    const { html } = parser.readAIOutput('  <h2 id="a" onclick="x()">A</h2><script>alert(1)</script>\n');
+    assert.strictEqual(html, '<h2 id="a">A</h2>');
+});
+
+test('readAIOutput warns about images without alt text', () => {
+    const { warnings } = parser.readAIOutput('<p>Text</p><img src="https://example.com/chart.png"><img src="b.png" alt="B">');
+    assert.deepStrictEqual(warnings, ['Image "chart.png" has no alt text, so screen readers and search engines can\'t describe it.']);
+});
+
+test('stashDataURIs keeps embedded images out of the prompt and restores them', () => {
+    const uri = 'data:image/png;base64,iVBORw0KGgo=';
+    const embedded = parser.stashDataURIs(`<p>Chart</p><img src="${uri}" alt="Chart">`);
+    assert.strictEqual(embedded.content, '<p>Chart</p><img src="embedded-image-0" alt="Chart">');
+
+    const { html } = parser.readAIOutput(embedded.restore('<figure><img src="embedded-image-0" alt="Chart"></figure>'));
+    assert.ok(html.includes(`src="${uri}"`));
+});
@@ -0,0 +1,79 @@
+/**
+ * DOCX reading: Word styles and numbering become heading levels and nested list items
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const ContentParser = require('../content-parser');
+
+// DocxReader is a browser script: run it with its dependencies as globals
+const { DOMParser } = new JSDOM('').window;
+const context = vm.createContext({ window: {}, DOMParser: DOMParser, TableBuilder: require('../table-builder') });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../docx-reader.js'), 'utf8'), context);
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const parseXml = xml => new DOMParser().parseFromString(xml, 'application/xml');
+const paragraph = (text, pPr = '') => `<w:p><w:pPr>${pPr}</w:pPr><w:r><w:t>${text}</w:t></w:r></w:p>`;
+const listItem = (text, numId, ilvl) => paragraph(text, `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numId}"/></w:numPr>`);
+
+const STYLES = `<w:styles xmlns:w="${W}">
+    <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+    <w:style w:type="paragraph" w:styleId="Intro"><w:name w:val="Intro"/><w:basedOn w:val="Heading2"/></w:style>
+</w:styles>`;
+const NUMBERING = `<w:numbering xmlns:w="${W}">
+    <w:abstractNum w:abstractNumId="0">
+        <w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl>
+        <w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl>
+    </w:abstractNum>
+    <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+/**
+ * Read a document body the way DocxReader.read() does after unzipping
+ * @param {string} body - WordprocessingML inside <w:body>
+ * @returns {Object} { blocks, text, headingLevels } with headingLevels as [line, level] pairs
+ */
+const read = body => {
+    const reader = new context.window.DocxReader();
+    reader.styles = reader.readStyles(parseXml(STYLES));
+    reader.numbering = reader.readNumbering(parseXml(NUMBERING));
+    const documentXml = parseXml(`<w:document xmlns:w="${W}"><w:body>${body}</w:body></w:document>`);
+    const blocks = reader.readBlocks(reader.childElements(documentXml.documentElement, 'body')[0]);
+    const { text, headingLevels } = reader.toText(blocks);
+    // Results come from the script's realm; copy them into this one for deepStrictEqual
+    return JSON.parse(JSON.stringify({ blocks: blocks, text: text, headingLevels: [...headingLevels] }));
+};
+
+test('heading styles give heading levels, also through basedOn, clamped to H2-H4', () => {
+    const docx = read(paragraph('Post Title', '<w:pStyle w:val="Title"/>') +
+        paragraph('Setup', '<w:pStyle w:val="Heading2"/>') +
+        paragraph('Based on a heading', '<w:pStyle w:val="Intro"/>') +
+        paragraph('Deep', '<w:outlineLvl w:val="5"/>') +
+        paragraph('Body text.'));
+    assert.deepStrictEqual(docx.blocks.map(block => [block.type, block.level]),
+        [['heading', 2], ['heading', 2], ['heading', 2], ['heading', 4], ['paragraph', undefined]]);
+    assert.deepStrictEqual(docx.headingLevels, [[0, 2], [1, 2], [2, 2], [3, 4]]);
+});
+
+test('numbering levels become indented list items of the numbering format', () => {
+    const docx = read(listItem('Plan the work', 1, 0) + listItem('Pick a date', 1, 1) + listItem('Ship it', 1, 0));
+    assert.strictEqual(docx.text, '1. Plan the work\n  - Pick a date\n1. Ship it');
+});
+
+test('nested DOCX list items render as nested lists', () => {
+    const docx = read(paragraph('Planning', '<w:pStyle w:val="Heading2"/>') +
+        listItem('Plan the work', 1, 0) + listItem('Pick a date', 1, 1) + listItem('Ship it', 1, 0));
+    const html = new ContentParser().parse(docx.text, { format: 'docx', headingLevels: new Map(docx.headingLevels) }).html;
+    assert.match(html, /<h2 id="planning">Planning<\/h2>/);
+    assert.match(html, /<ol class="listing-bx">\s*<li>Plan the work<ul class="bullet-new-box">\s*<li>Pick a date<\/li>\s*<\/ul>\s*<\/li>\s*<li>Ship it<\/li>\s*<\/ol>/);
+});
+
+test('numId 0 removes numbering inherited from the style', () => {
+    const docx = read(paragraph('Not a list', '<w:numPr><w:numId w:val="0"/></w:numPr>'));
+    assert.deepStrictEqual(docx.blocks, [{ type: 'paragraph', text: 'Not a list' }]);
+});
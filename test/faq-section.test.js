@@ -0,0 +1,30 @@
+/**
+ * FAQ sections in text drafts keep their questions and end at the next heading that is not a question
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const parser = new ContentParser();
+const DRAFT = 'Intro paragraph for the post.\n\nFAQ\n\nWhat Is X?\n\nX is a thing that people use.\n\nHow Does It Work?\n\nIt works by doing things well.\n\nFinal Thoughts\n\nThis is the wrap-up of the post.';
+
+test('a heading that is not a question ends the FAQ', () => {
+    const html = parser.parse(DRAFT, { format: 'text' }).html;
+    const faq = html.slice(html.indexOf('<div class="faq_blog">'), html.indexOf('</div>'));
+    assert.match(faq, /<h3 id="how-does-it-work">How Does It Work\?<\/h3>/);
+    assert.doesNotMatch(faq, /Final Thoughts|wrap-up/);
+    assert.match(html, /<\/div><h2 id="final-thoughts">Final Thoughts<\/h2>\s*<p>This is the wrap-up of the post\.<\/p>/);
+});
+
+test('the FAQPage JSON-LD only holds the questions and their answers', () => {
+    const html = parser.parse(DRAFT, { format: 'text' }).html;
+    const schema = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    assert.deepStrictEqual(schema.mainEntity.map(question => question.name), ['What Is X?', 'How Does It Work?']);
+    assert.doesNotMatch(schema.mainEntity[1].acceptedAnswer.text, /wrap-up/);
+});
+
+test('questions without a question mark stay in the FAQ', () => {
+    const html = parser.parse('FAQ\n\nHow Long Does Setup Take\n\nAbout an hour for most teams.\n\nFinal Thoughts\n\nThat is all.', { format: 'text' }).html;
+    assert.match(html, /<div class="faq_blog">[\s\S]*How Long Does Setup Take[\s\S]*<\/div><h2 id="final-thoughts">/);
+});
@@ -0,0 +1,59 @@
+/**
+ * Front matter and METADATA sections: per-document metadata and conversion options
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FrontMatterParser = require('../front-matter-parser');
+
+const parser = new FrontMatterParser();
+
+test('YAML front matter is read and its lines are blanked', () => {
+    const result = parser.extract('---\ntitle: "Hello: World"\nPublish Date: 2024-05-01\ndraft: false\nreading_time: 5\ntags: [api, "web, mobile"]\n---\nBody');
+    assert.strictEqual(result.format, 'yaml');
+    assert.deepStrictEqual(result.data, {
+        title: 'Hello: World',
+        publishDate: '2024-05-01',
+        draft: false,
+        readingTime: 5,
+        tags: ['api', 'web, mobile']
+    });
+    assert.strictEqual(result.content, '\n\n\n\n\n\n\nBody');
+});
+
+test('YAML lists and nested maps open on an empty value', () => {
+    const { data } = parser.extract('---\nauthors:\n  - Ann\n  - Bo\ncta:\n  heading: Talk to us\n  button_text: Book a call\n---\n');
+    assert.deepStrictEqual(data, { authors: ['Ann', 'Bo'], cta: { heading: 'Talk to us', buttonText: 'Book a call' } });
+});
+
+test('TOML front matter reads tables', () => {
+    const { data, format } = parser.extract('+++\ntitle = "Hello"\ntoc_depth = 3\n[cta]\nheading = "Talk to us"\n+++\nBody');
+    assert.strictEqual(format, 'toml');
+    assert.deepStrictEqual(data, { title: 'Hello', tocDepth: 3, cta: { heading: 'Talk to us' } });
+});
+
+test('a METADATA section anywhere in the draft ends at a blank line or its closing tag', () => {
+    const plain = parser.extract('Intro\nMETADATA\nauthor: Ann\n\nBody');
+    assert.deepStrictEqual(plain.data, { author: 'Ann' });
+    assert.strictEqual(plain.content, 'Intro\n\n\n\nBody');
+
+    const tagged = parser.extract('<METADATA>\nauthor: Ann\n\nslug: hello\n</METADATA>\nBody');
+    assert.deepStrictEqual(tagged.data, { author: 'Ann', slug: 'hello' });
+    assert.strictEqual(tagged.content.trim(), 'Body');
+});
+
+test('a draft without metadata, or with an unclosed fence, is left alone', () => {
+    assert.deepStrictEqual(parser.extract('Just text'), { data: {}, content: 'Just text', format: null });
+    assert.strictEqual(parser.extract('---\ntitle: x\nBody').format, null);
+});
+
+test('placeholders are snake_case with nested maps flattened and lists joined', () => {
+    assert.deepStrictEqual(parser.getPlaceholders({ publishDate: '2024', cta: { buttonText: 'Go' }, tags: ['a', 'b'] }),
+        { publish_date: '2024', cta_button_text: 'Go', tags: 'a, b' });
+});
+
+test('settings keep a TOC depth of 2-4 and the CTA fields', () => {
+    assert.deepStrictEqual(parser.getSettings({ tocDepth: 3, cta: { heading: 'Talk', imageUrl: 'a.png' } }),
+        { tocDepth: 3, cta: { heading: 'Talk', imageUrl: 'a.png' } });
+    assert.deepStrictEqual(parser.getSettings({ tocDepth: 6 }), {});
+});
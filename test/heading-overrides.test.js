@@ -0,0 +1,46 @@
+/**
+ * Heading review decisions: headingOverrides corrects single detected headings in text drafts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const DRAFT = 'Intro paragraph here that is long enough to be prose.\n\nWhy Teams Choose It\n\nBecause it works well for them.\n\nSetup Steps\n\nFirst install it and then configure it.';
+
+test('borderline headings carry their line, score and rules', () => {
+    const parser = new ContentParser({ headingDetection: { threshold: 0.55 } });
+    const headings = parser.parse(DRAFT, { format: 'text' }).structure.headings;
+    assert.deepStrictEqual(headings.map(heading => [heading.line, heading.borderline]), [[2, true], [6, true]]);
+    assert.ok(headings[0].rules.length > 0);
+});
+
+test('an override of 0 turns a detected heading back into a paragraph', () => {
+    const result = new ContentParser().parse(DRAFT, { format: 'text', headingOverrides: new Map([[2, 0]]) });
+    assert.match(result.html, /<p>Why Teams Choose It<\/p>/);
+    assert.match(result.html, /<h2 id="setup-steps">Setup Steps<\/h2>/);
+    assert.deepStrictEqual(result.structure.headings.map(heading => heading.text), ['Setup Steps']);
+});
+
+test('an override level replaces the detected level', () => {
+    const parser = new ContentParser();
+    const detected = parser.parse(DRAFT, { format: 'text' }).structure.headings;
+    const headings = parser.parse(DRAFT, { format: 'text', headingOverrides: new Map([[6, 3]]) }).structure.headings;
+    assert.strictEqual(detected[1].level, 2);
+    assert.deepStrictEqual(headings.map(heading => heading.level), [detected[0].level, 3]);
+});
+
+test('overrides use the structure line numbers when the draft has front matter', () => {
+    const draft = `---\ntitle: Teams\n---\n${DRAFT}`;
+    const parser = new ContentParser();
+    const line = parser.parse(draft, { format: 'text' }).structure.headings[0].line;
+    const html = parser.parse(draft, { format: 'text', headingOverrides: new Map([[line, 0]]) }).html;
+    assert.match(html, /<p>Why Teams Choose It<\/p>/);
+});
+
+test('override levels are clamped to H2-H4', () => {
+    const html = new ContentParser().parse(DRAFT, { format: 'text', headingOverrides: new Map([[2, 1], [6, 6]]) }).html;
+    assert.match(html, /<h2 id="why-teams-choose-it">Why Teams Choose It<\/h2>/);
+    assert.match(html, /<h4 id="setup-steps">Setup Steps<\/h4>/);
+    assert.doesNotMatch(html, /<h[156]\b/);
+});
@@ -0,0 +1,61 @@
+/**
+ * HTML cleanup rules: each removes only real duplicates or empty markup and reports what it removed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const HTMLCleaner = require('../html-cleaner');
+
+/**
+ * Run the cleaner on an HTML fragment
+ * @param {string} html
+ * @param {Object} options - HTMLCleaner options
+ * @returns {Object} { html, report }
+ */
+const clean = (html, options) => {
+    const body = new JSDOM(html).window.document.body;
+    const report = new HTMLCleaner(options).clean(body);
+    return { html: body.innerHTML, report: report };
+};
+
+test('only the first table of contents is kept', () => {
+    const toc = '<div class="blog_index_cover"><ol class="blog_index"><li>A</li></ol></div>';
+    const result = clean(`${toc}<p>Text</p>${toc}`);
+    assert.strictEqual(result.html.match(/blog_index_cover/g).length, 1);
+    assert.deepStrictEqual(result.report, [{ rule: 'duplicateTOC', message: 'Removed 1 extra table(s) of contents' }]);
+});
+
+test('a repeated FAQ section is merged into the first, without repeating its questions', () => {
+    const result = clean('<div class="faq_blog"><h2>FAQ</h2><h3>What?</h3><p>One.</p></div>' +
+        '<div class="faq_blog"><h2>FAQ</h2><h3>What?</h3><p>Again.</p><h3>Why?</h3><p>Two.</p></div>');
+    assert.strictEqual(result.html, '<div class="faq_blog"><h2>FAQ</h2><h3>What?</h3><p>One.</p><h3>Why?</h3><p>Two.</p></div>');
+    assert.match(result.report[0].message, /1 new question\(s\) kept/);
+});
+
+test('a heading is only removed when it repeats right after itself', () => {
+    const result = clean('<h2>Setup</h2><h2>Setup</h2><p>Text</p><h2>Setup</h2>');
+    assert.strictEqual(result.html, '<h2>Setup</h2><p>Text</p><h2>Setup</h2>');
+    assert.deepStrictEqual(result.report.map(entry => entry.message), ['Removed repeated heading "Setup"']);
+});
+
+test('empty paragraphs, list items and lists are removed, images are kept', () => {
+    const result = clean('<p> </p><p><img src="a.png" alt="A"></p><ul><li></li></ul><p>Text</p>');
+    assert.strictEqual(result.html, '<p><img src="a.png" alt="A"></p><p>Text</p>');
+    assert.deepStrictEqual(result.report.map(entry => entry.message), ['Removed empty elements: 1 <p>, 1 <li>, 1 <ul>']);
+});
+
+test('repeated line breaks collapse to one', () => {
+    assert.strictEqual(clean('<p>A<br><br><br>B<br>C</p>').html, '<p>A<br>B<br>C</p>');
+});
+
+test('whitespace collapses everywhere except in code', () => {
+    const result = clean('<p>A    B</p><pre><code>if (x) {\n    y();\n}</code></pre>');
+    assert.strictEqual(result.html, '<p>A B</p><pre><code>if (x) {\n    y();\n}</code></pre>');
+    assert.deepStrictEqual(result.report, []);
+});
+
+test('rules can be turned off, unknown rules are an error', () => {
+    assert.strictEqual(clean('<h2>A</h2><h2>A</h2>', { rules: { repeatedHeadings: false } }).html, '<h2>A</h2><h2>A</h2>');
+    assert.throws(() => new HTMLCleaner({ rules: { noSuchRule: false } }), /Unknown cleanup rule: noSuchRule/);
+});
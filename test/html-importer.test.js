@@ -0,0 +1,61 @@
+/**
+ * HTML import from Google Docs, WordPress and Word (mammoth) exports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const parser = new ContentParser();
+const render = html => parser.parse(html, { format: 'html' }).html;
+
+/**
+ * Every in-page link points at an id the output has
+ * @param {string} html
+ */
+const assertLinksResolve = html => {
+    const ids = new Set([...html.matchAll(/\sid="([^"]+)"/g)].map(match => match[1]));
+    [...html.matchAll(/href="#([^"]+)"/g)].forEach(match => assert.ok(ids.has(match[1]), `#${match[1]} has no target`));
+};
+
+test('Google Docs heading links point at the new heading ids', () => {
+    const html = render('<p><a href="#h.ab12">Setup</a></p><h2 id="h.ab12">Setup</h2><p>Install it.</p>');
+    assert.match(html, /<a href="#setup">Setup<\/a>/);
+    assert.match(html, /<h2 id="setup">Setup<\/h2>/);
+    assertLinksResolve(html);
+});
+
+test('a link to the FAQ heading points at the H2 of the FAQ template', () => {
+    const html = render('<p>See the <a href="#h.faq1">FAQ</a>.</p><h2 id="h.faq1">FAQ</h2><h3>What is it?</h3><p>A tool.</p>');
+    assert.match(html, /<a href="#frequently-asked-questions">FAQ<\/a>/);
+    assert.match(html, /<h2 id="frequently-asked-questions">Frequently Asked Questions<\/h2>/);
+    assertLinksResolve(html);
+});
+
+test('Google Docs class styles become inline formatting', () => {
+    const html = render('<style>.c3{font-weight:700}.c4{font-style:italic}</style><p><span class="c3">Bold</span> and <span class="c4">it</span></p>');
+    assert.match(html, /<p><strong>Bold<\/strong> and <em>it<\/em><\/p>/);
+});
+
+test('consecutive monospace paragraphs become one code block', () => {
+    const html = render('<style>.c9{font-family:"Courier New"}</style><p class="c9">npm install</p><p class="c9">npm&nbsp;&nbsp;start</p><p>After.</p>');
+    assert.match(html, /<pre><code>npm install\nnpm {2}start<\/code><\/pre>\s*<p>After\.<\/p>/);
+});
+
+test('line breaks inside <pre> are kept', () => {
+    assert.match(render('<pre>line 1<br>  line 2</pre>'), /<pre><code>line 1\n {2}line 2<\/code><\/pre>/);
+});
+
+test('Google redirect links are undone and scripts and handlers dropped', () => {
+    const html = render('<p><a href="https://www.google.com/url?q=https://example.com/page&sa=D">Ex</a></p><script>alert(1)</script><p onclick="x()">Hi</p>');
+    assert.match(html, /<a href="https:\/\/example\.com\/page">Ex<\/a>/);
+    assert.doesNotMatch(html, /alert|onclick/);
+});
+
+test('nested lists and tables are imported', () => {
+    assert.match(render('<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>'),
+        /<li>One<ul class="bullet-new-box">\s*<li>Nested<\/li>\s*<\/ul>\s*<\/li>\s*<li>Two<\/li>/);
+    const table = render('<table><tr><th>Plan</th><th>Price</th></tr><tr><td>Basic</td><td>$10</td></tr></table>');
+    assert.match(table, /<thead>\s*<tr>\s*<th style="width: 50%;">Plan<\/th>/);
+    assert.match(table, /<td>Basic<\/td>\s*<td>\$10<\/td>/);
+});
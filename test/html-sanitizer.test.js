@@ -0,0 +1,37 @@
+/**
+ * The allow-list sanitizer for AI output, imported pages and inline HTML
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HTMLSanitizer = require('../html-sanitizer');
+
+const sanitizer = new HTMLSanitizer();
+
+test('escapeText and escapeAttribute escape for their context', () => {
+    assert.strictEqual(sanitizer.escapeText('a < b & <i>'), 'a &lt; b &amp; &lt;i&gt;');
+    assert.strictEqual(sanitizer.escapeAttribute(`"x" 'y'`), '&quot;x&quot; &#39;y&#39;');
+});
+
+test('escapeURL drops script schemes, also when obfuscated', () => {
+    assert.strictEqual(sanitizer.escapeURL('javascript:alert(1)'), '');
+    assert.strictEqual(sanitizer.escapeURL('java\tscript:alert(1)'), '');
+    assert.strictEqual(sanitizer.escapeURL('data:image/png;base64,AAAA'), '');
+    assert.strictEqual(sanitizer.escapeURL('data:image/png;base64,AAAA', true), 'data:image/png;base64,AAAA');
+    assert.strictEqual(sanitizer.escapeURL('https://example.com/?a=1&b="2"'), 'https://example.com/?a=1&amp;b=&quot;2&quot;');
+});
+
+test('sanitize removes scripts, event handlers and unsafe URLs', () => {
+    const html = sanitizer.sanitize('<p onclick="x()">Hi<script>alert(1)</script></p><a href="javascript:alert(1)">a</a><img src="x.png" onerror="alert(1)"><iframe src="https://e.com"></iframe>');
+    assert.strictEqual(html, '<p>Hi</p><a>a</a><img src="x.png">');
+});
+
+test('sanitize keeps blog markup and JSON-LD', () => {
+    const html = '<div class="faq_blog"><h3 id="q">Q?</h3></div><script type="application/ld+json">{"@type":"FAQPage"}</script>';
+    assert.strictEqual(sanitizer.sanitize(html), html);
+});
+
+test('sanitize unwraps unknown elements and opens new tabs without opener access', () => {
+    assert.strictEqual(sanitizer.sanitize('<custom-box><b>x</b></custom-box>'), '<b>x</b>');
+    assert.strictEqual(sanitizer.sanitize('<a href="https://e.com" target="_blank">e</a>'), '<a href="https://e.com" target="_blank" rel="noopener noreferrer">e</a>');
+});
@@ -0,0 +1,39 @@
+/**
+ * Inline draft markup: emphasis with CommonMark delimiter rules, code spans, links, autolinks and escapes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const InlineFormatter = require('../inline-formatter');
+
+const formatter = new InlineFormatter();
+const format = text => formatter.format(text);
+
+test('bold, italic and strikethrough', () => {
+    assert.strictEqual(format('**bold** and *it* and ~~del~~'), '<strong>bold</strong> and <em>it</em> and <del>del</del>');
+    assert.strictEqual(format('***both***'), '<em><strong>both</strong></em>');
+});
+
+test('intraword underscores, arithmetic and unclosed markers stay literal', () => {
+    assert.strictEqual(format('snake_case_name and 2*3*4'), 'snake_case_name and 2*3*4');
+    assert.strictEqual(format('**unclosed'), '**unclosed');
+    assert.strictEqual(format('\\*not em\\*'), '*not em*');
+});
+
+test('code spans are escaped and never formatted', () => {
+    assert.strictEqual(format('`a < b` and `` x`y ``'), '<code>a &lt; b</code> and <code>x`y</code>');
+    assert.strictEqual(format('`**not bold**`'), '<code>**not bold**</code>');
+});
+
+test('links, images and autolinks', () => {
+    assert.strictEqual(format('[Docs](https://e.com/a?b=1&c=2 "T")'), '<a href="https://e.com/a?b=1&amp;c=2" title="T">Docs</a>');
+    assert.strictEqual(format('![Alt](a.png)'), '<img src="a.png" alt="Alt" loading="lazy" />');
+    assert.strictEqual(format('<https://e.com>'), '<a href="https://e.com">https://e.com</a>');
+    assert.strictEqual(format('see https://example.com/x. ok'), 'see <a href="https://example.com/x">https://example.com/x</a>. ok');
+});
+
+test('text is escaped and script links lose their href', () => {
+    assert.strictEqual(format('a < b & "c"'), 'a &lt; b &amp; "c"');
+    assert.strictEqual(format('[x](javascript:alert(1))'), 'x');
+    assert.strictEqual(format('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
@@ -0,0 +1,101 @@
+/**
+ * Escaping in the section templates: draft text is shown as text, never run as markup
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const parser = new ContentParser();
+const HOSTILE = '<script>alert(1)</script> a < b & "c"';
+const ESCAPED = '&lt;script&gt;alert(1)&lt;/script&gt; a &lt; b &amp; "c"';
+
+const render = draft => parser.parse(draft, { format: 'text' }).html;
+
+/**
+ * No element or attribute from the draft made it into the output
+ * @param {string} html
+ */
+const assertInert = html => {
+    assert.doesNotMatch(html, /<script>alert/);
+    assert.doesNotMatch(html, /<img src=x/);
+    assert.doesNotMatch(html, /\sonerror="/);
+    assert.doesNotMatch(html, /javascript:/);
+};
+
+test('toc escapes heading text in its entries', () => {
+    const html = render(`<TOC>\n- Entry\n<TOC END>\nH2: Tom & Jerry ${HOSTILE}\nSome text here.`);
+    assert.match(html, /class="blog_index"/);
+    assert.ok(html.includes(`>Tom &amp; Jerry ${ESCAPED}</a></li>`));
+    assertInert(html);
+});
+
+test('key-takeaways escapes its points', () => {
+    const html = render(`<KEY-TAKEAWAYS>\n- First ${HOSTILE}\n- Second <img src=x onerror=alert(1)>\n<KEY-TAKEAWAYS END>`);
+    assert.match(html, /class="kta-list"/);
+    assert.ok(html.includes(`<li>First ${ESCAPED}</li>`));
+    assert.ok(html.includes('<li>Second &lt;img src=x onerror=alert(1)&gt;</li>'));
+    assertInert(html);
+});
+
+test('faq escapes questions and answers, and its JSON-LD cannot close the script element', () => {
+    const html = render(`<FAQ>\nIs ${HOSTILE}?\nThe answer ${HOSTILE} is long enough.\n<FAQ END>`);
+    assert.match(html, /class="faq_blog"/);
+    assert.ok(html.includes(`>Is ${ESCAPED}?</h3>`));
+    assert.ok(html.includes(`<p>The answer ${ESCAPED} is long enough.</p>`));
+    assert.strictEqual(html.split('</script>').length - 1, 1);
+    assert.match(html, /"name": "Is \\u003cscript>alert\(1\)\\u003c\/script>/);
+    assertInert(html);
+});
+
+test('steps escapes step titles and descriptions', () => {
+    const html = render(`<STEPS>\n1. Install ${HOSTILE}: run it ${HOSTILE}\n2. Done\n<STEPS END>`);
+    assert.match(html, /class="listing-bx"/);
+    assert.ok(html.includes(`<h3>Install ${ESCAPED}</h3>`));
+    assert.ok(html.includes(`<p>run it ${ESCAPED}</p>`));
+    assertInert(html);
+});
+
+test('cta escapes its text and drops a javascript: image URL', () => {
+    const html = render(`<CTA>\nHeading ${HOSTILE}\nDescription ${HOSTILE}\nButton ${HOSTILE}\njavascript:alert(1)\n<CTA END>`);
+    assert.match(html, /class="callout_newbox"/);
+    assert.ok(html.includes(`<p class="call_heading">Heading ${ESCAPED}</p>`));
+    assert.ok(html.includes(`<p>Description ${ESCAPED}</p>`));
+    assert.ok(html.includes(`Button ${ESCAPED}`));
+    assertInert(html);
+});
+
+test('cta1 keeps an image URL inside its attribute', () => {
+    const html = render(`CTA 1\nHeading ${HOSTILE}\nDescription ${HOSTILE}\nButton ${HOSTILE}\n" onerror="alert(1)\n<CTA END>`);
+    assert.ok(html.includes(`Heading ${ESCAPED}</h3>`));
+    assert.ok(html.includes('src="&quot; onerror=&quot;alert(1)"'));
+    assertInert(html);
+});
+
+test('cta2 escapes its text', () => {
+    const html = render(`CTA 2\nHeading ${HOSTILE}\nDescription ${HOSTILE}\nButton ${HOSTILE}\n<CTA END>`);
+    assert.match(html, /class="callout_box"/);
+    assert.ok(html.includes(`<p class="call_heading">Heading ${ESCAPED}</p>`));
+    assert.ok(html.includes(`Button ${ESCAPED}`));
+    assertInert(html);
+});
+
+test('table escapes its cells', () => {
+    const html = render(`<TABLE>\n| Name | Value |\n| ${HOSTILE} | x |\n<TABLE END>`);
+    assert.match(html, /<table class="table table-bordered"/);
+    assert.ok(html.includes(`<td>${ESCAPED}</td>`));
+    assertInert(html);
+});
+
+test('comparison escapes its cells', () => {
+    const html = render(`<COMPARISON>\n| Option | Verdict |\n| ${HOSTILE} | x |\n<COMPARISON END>`);
+    assert.match(html, /<table class="table table-bordered"/);
+    assert.ok(html.includes(`<td>${ESCAPED}</td>`));
+    assertInert(html);
+});
+
+test('paragraphs and inline formatting escape the text around the markup', () => {
+    const html = render(`Intro with **bold ${HOSTILE}** and [a link](javascript:alert(1)).`);
+    assert.ok(html.includes(`<strong>bold ${ESCAPED}</strong>`));
+    assertInert(html);
+});
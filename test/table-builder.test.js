@@ -0,0 +1,72 @@
+/**
+ * Table building from draft rows: column inference for one-cell-per-line tables, headers, alignment,
+ * merged cells and captions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TableBuilder = require('../table-builder');
+const model = require('../document-model');
+
+const builder = new TableBuilder();
+
+/**
+ * Cell texts of a table block, header rows first
+ * @param {Object} table
+ * @returns {Array<Array<string>>}
+ */
+const texts = table => [...table.head, ...table.rows].map(row => row.map(cell => cell.text));
+
+test('a bold header row gives the column count of a one-cell-per-line table', () => {
+    const table = builder.build(['**Plan**', '**Price**', 'Basic', '$10', 'Pro', '$20']);
+    assert.deepStrictEqual(texts(table), [['**Plan**', '**Price**'], ['Basic', '$10'], ['Pro', '$20']]);
+    assert.strictEqual(table.warning, undefined);
+});
+
+test('the column count is inferred from the kinds of values in each column', () => {
+    const table = builder.build(['Plan', 'Price', 'Users', 'Basic', '$10', '5', 'Pro', '$20', '25', 'Team', '$50', '100']);
+    assert.deepStrictEqual(texts(table)[0], ['Plan', 'Price', 'Users']);
+    assert.deepStrictEqual(texts(table)[3], ['Team', '$50', '100']);
+    assert.strictEqual(table.warning, undefined);
+});
+
+test('an ambiguous layout is reported with a hint to declare the columns', () => {
+    const table = builder.build(['alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta']);
+    assert.match(table.warning, /could not tell the number of columns, assumed 2\. Declare it with <TABLE cols=N>/);
+});
+
+test('declared columns win, and a short last row is reported', () => {
+    const table = builder.build(['A', 'B', 'C', '1', '2', '3', '4'], { columns: 3 });
+    assert.deepStrictEqual(texts(table), [['A', 'B', 'C'], ['1', '2', '3'], ['4']]);
+    assert.match(table.warning, /7 cells do not fill 3 columns/);
+});
+
+test('blank lines between every cell are separators, not empty cells', () => {
+    const table = builder.build(['Plan', '', 'Price', '', 'Basic', '', '$10', '', 'Pro', '', '$20']);
+    assert.deepStrictEqual(texts(table), [['Plan', 'Price'], ['Basic', '$10'], ['Pro', '$20']]);
+});
+
+test('a GFM delimiter row sets column alignment and a single-cell row spans the table', () => {
+    const html = builder.render(builder.build(['| Plan | Price |', '|:---|---:|', '| Basic | $10 |', 'Group row']));
+    assert.match(html, /<th style="width: 50%; text-align: left;">Plan<\/th>/);
+    assert.match(html, /<td style="text-align: right;">\$10<\/td>/);
+    assert.match(html, /<td colspan="2" style="text-align: left;">Group row<\/td>/);
+});
+
+test('cells below a rowspan move to the next free column', () => {
+    const table = model.table([[model.tableCell('Plan'), model.tableCell('Limit')]], [
+        [model.tableCell('Basic', { rowspan: 2 }), model.tableCell('5 users')],
+        [model.tableCell('2 GB')]
+    ]);
+    const html = builder.render(table);
+    assert.match(html, /<td rowspan="2">Basic<\/td>\s*<td>5 users<\/td>\s*<\/tr>\s*<tr>\s*<td>2 GB<\/td>\s*<\/tr>/);
+});
+
+test('caption lines above or below a table become its escaped caption', () => {
+    const above = builder.attachCaptions([model.paragraph('Table: Pricing'), model.table([], [])]);
+    assert.deepStrictEqual(above.map(block => [block.type, block.caption]), [['table', 'Pricing']]);
+
+    const below = builder.attachCaptions([model.table([], []), model.paragraph('Table 2. Plan <limits>')]);
+    assert.deepStrictEqual(below.map(block => [block.type, block.caption]), [['table', 'Table 2. Plan &lt;limits&gt;']]);
+    assert.match(builder.render(below[0]), /<caption>Table 2\. Plan &lt;limits&gt;<\/caption>/);
+});
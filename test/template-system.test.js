@@ -0,0 +1,61 @@
+/**
+ * Escaping in populateTemplate and the content the templates are filled with
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// TemplateSystem is a browser script: run it with its dependencies as globals
+const context = vm.createContext({
+    window: {},
+    AnchorService: require('../anchor-service'),
+    FrontMatterParser: require('../front-matter-parser'),
+    HTMLSanitizer: require('../html-sanitizer')
+});
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../template-system.js'), 'utf8'), context);
+const templates = new context.window.TemplateSystem();
+
+test('populateTemplate escapes front matter in text and attributes', () => {
+    const html = templates.applyTemplate('tech-blog', {}, {
+        cta: {
+            heading: '<script>alert(1)</script> a < b',
+            imageAlt: '" onerror="alert(1)'
+        }
+    });
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt; a &lt; b'));
+    assert.ok(html.includes('alt="&quot; onerror=&quot;alert(1)"'));
+    assert.doesNotMatch(html, /<script>alert/);
+});
+
+test('populateTemplate drops a front matter URL with a script scheme', () => {
+    const html = templates.applyTemplate('tech-blog', {}, { cta: { imageUrl: 'javascript:alert(1)' } });
+    assert.doesNotMatch(html, /javascript:/);
+    assert.match(html, /<img src="" alt=/);
+});
+
+test('populateTemplate inserts values literally', () => {
+    const html = templates.applyTemplate('tech-blog', {}, { cta: { heading: 'Save $& more, $1 off' } });
+    assert.ok(html.includes('Save $&amp; more, $1 off'));
+});
+
+test('populateTemplate keeps the rendered post as HTML', () => {
+    const html = templates.applyTemplate('tech-blog', { main_content: '<h2 id="intro">Intro</h2>' });
+    assert.ok(html.includes('<h2 id="intro">Intro</h2>'));
+});
+
+test('extractContentForTemplate escapes heading, answer and step text', () => {
+    const structure = {
+        headings: [{ level: 2, text: 'Is <b>a</b> < b?', line: 0 }],
+        paragraphs: [{ text: 'Yes <script>alert(1)</script>', line: 1 }],
+        lists: [{ type: 'ordered', items: ['Run <img src=x onerror=alert(1)>'] }]
+    };
+    const faq = templates.extractContentForTemplate({ structure: structure, html: '' }, 'faq');
+    assert.ok(faq.toc_items.includes('>Is &lt;b&gt;a&lt;/b&gt; &lt; b?</a>'));
+    assert.ok(faq.faq_items.includes('<p>Yes &lt;script&gt;alert(1)&lt;/script&gt;</p>'));
+
+    const tutorial = templates.extractContentForTemplate({ structure: structure, html: '' }, 'tutorial');
+    assert.ok(tutorial.step_items.includes('<p>Run &lt;img src=x onerror=alert(1)&gt;</p>'));
+});
@@ -0,0 +1,59 @@
+/**
+ * A written-out table of contents ends at its first line that is not an entry, in every input format
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ContentParser = require('../content-parser');
+
+const parser = new ContentParser();
+const render = (draft, format) => parser.parse(draft, { format }).html;
+
+/**
+ * The TOC was built and the content after it kept
+ * @param {string} html
+ */
+const assertContentKept = html => {
+    assert.match(html, /class="blog_index"/);
+    assert.match(html, /<li><a href="#what-is-it">What Is It<\/a><\/li>/);
+    assert.match(html, /<h2 id="what-is-it">What Is It<\/h2>/);
+    assert.match(html, /<p>It is a thing that we explain here\.<\/p>/);
+};
+
+test('text TOC without an end tag stops at the next heading', () => {
+    assertContentKept(render('Intro.\n\nTABLE OF CONTENTS\nWhat Is It\nIt is a thing that we explain here.', 'text'));
+});
+
+test('text TOC keeps its list entries and stops at the first paragraph', () => {
+    const html = render('Intro.\n\nTABLE OF CONTENTS\n1. What Is It\n2. Why\n\nWhat Is It\n\nIt is a thing that we explain here.', 'text');
+    assertContentKept(html);
+    assert.doesNotMatch(html, /<li>Why<\/li>/);
+});
+
+test('markdown TOC stops at the next heading', () => {
+    assertContentKept(render('Intro.\n\n## Table of Contents\n\n- [What Is It](#what-is-it)\n\n## What Is It\n\nIt is a thing that we explain here.', 'markdown'));
+});
+
+test('text and markdown agree on a <TOC> marker without an end tag', () => {
+    const draft = 'Intro.\n\n<TOC>\n\nWhy it works: it is a thing that we explain here.';
+    const text = render(draft, 'text');
+    assert.match(text, /<p>Why it works: it is a thing that we explain here\.<\/p>/);
+    assert.strictEqual(text.replace(/\s+/g, ''), render(draft, 'markdown').replace(/\s+/g, ''));
+});
+
+test('markdown <TOC> marker without an end tag ends at the next heading', () => {
+    const html = render('Intro.\n\n<TOC>\n\n## What Is It\n\nIt is a thing that we explain here.\n\n## Second Part\n\nMore text.', 'markdown');
+    assertContentKept(html);
+    assert.match(html, /<li><a href="#second-part">Second Part<\/a><\/li>/);
+});
+
+test('H3s below a Table of Contents H2 are content, not TOC entries', () => {
+    const html = render('## Table of Contents\n\n- [What Is It](#what-is-it)\n\n### What Is It\n\nIt is a thing that we explain here.', 'markdown');
+    assert.match(html, /class="blog_index"/);
+    assert.match(html, /<h3 id="what-is-it">What Is It<\/h3>/);
+    assert.match(html, /<p>It is a thing that we explain here\.<\/p>/);
+});
+
+test('HTML <TOC> marker without an end tag ends at the next heading', () => {
+    assertContentKept(render('<p>Intro.</p><p>&lt;TOC&gt;</p><h2>What Is It</h2><p>It is a thing that we explain here.</p>', 'html'));
+});
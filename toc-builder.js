@@ -0,0 +1,137 @@
+/**
+ * TOC Builder for Space-O Technologies Blog Format
+ * Builds the nested table of contents (H2 > H3 > H4) from the document's headings
+ */
+
+class TOCBuilder {
+    /**
+     * @param {Object} options - { maxLevel: 2-4, numbering: 'none'|'top'|'outline', includeFAQ }
+     */
+    constructor(options = {}) {
+        this.sectionDetector = new (typeof SectionDetector !== 'undefined' ? SectionDetector : require('./section-detector'))();
+        this.anchors = new (typeof AnchorService !== 'undefined' ? AnchorService : require('./anchor-service'))();
+        // 2 lists H2s only, 3 adds H3s, 4 adds H4s
+        this.maxLevel = options.maxLevel || 4;
+        // 'top' numbers the H2 entries (1, 2), 'outline' numbers every entry (1, 1.1, 1.2)
+        this.numbering = options.numbering || 'none';
+        // The FAQ section's own H2 is listed, its questions never are
+        this.includeFAQ = options.includeFAQ !== false;
+        // Headings that name one of these sections are blog furniture, not chapters
+        this.excludedSections = ['toc', 'faq', 'cta', 'cta1', 'cta2'];
+    }
+
+    /**
+     * Collect TOC entries in document order: headings (also inside lists and blockquotes) and the FAQ section
+     * @param {Object} document - Document node from DocumentModel.document()
+     * @returns {Array<Object>} { level, text, id }
+     */
+    collect(document) {
+        const entries = [];
+        const visit = blocks => blocks.forEach(block => {
+            if (block.type === 'heading' && !this.isExcluded(block)) {
+                entries.push({ level: block.level, text: block.text, id: block.id });
+            }
+            if (block.type === 'section' && block.sectionType === 'faq' && this.includeFAQ) {
+                entries.push({ level: 2, text: 'Frequently Asked Questions', id: this.anchors.faqHeadingId });
+            }
+            if (block.type === 'list') block.items.forEach(item => visit(item.children));
+            if (block.type === 'blockquote') visit(block.children);
+        });
+        visit(document.blocks);
+        return entries;
+    }
+
+    /**
+     * @param {Object} heading
+     * @returns {boolean}
+     */
+    isExcluded(heading) {
+        const sectionType = this.sectionDetector.detectSectionType(heading.text.replace(/<[^>]*>/g, ''));
+        return this.excludedSections.includes(sectionType);
+    }
+
+    /**
+     * Nest entries under the closest preceding entry of a higher level
+     * A level that is skipped (H2 then H4) still nests one step deeper
+     * @param {Array<Object>} entries
+     * @returns {Array<Object>} Nodes: { entry, number, children }
+     */
+    buildTree(entries) {
+        const root = { level: 0, children: [] };
+        const stack = [root];
+
+        entries.forEach(entry => {
+            while (stack.length > 1 && stack[stack.length - 1].entry.level >= entry.level) stack.pop();
+            const parent = stack[stack.length - 1];
+            const number = (parent.number ? parent.number + '.' : '') + (parent.children.length + 1);
+            const node = { entry: entry, number: number, children: [] };
+            parent.children.push(node);
+            stack.push(node);
+        });
+
+        return root.children;
+    }
+
+    /**
+     * Render the TOC markup
+     * @param {Array<Object>} entries - From collect()
+     * @param {Object} options - { maxLevel } overrides the configured depth (e.g. H2-only TOC sections)
+     * @returns {string}
+     */
+    render(entries, options = {}) {
+        const maxLevel = options.maxLevel || this.maxLevel;
+        const tree = this.buildTree(entries.filter(entry => entry.level <= maxLevel));
+        if (tree.length === 0) return '';
+
+        return `
+<div class="blog_index_cover">
+    <p class="blog_index_toggle_btn fonts-16 w-700">Table Of Contents</p>
+    <ol class="blog_index">
+${this.renderItems(tree, 2)}
+    </ol>
+</div>`;
+    }
+
+    /**
+     * @param {Array<Object>} nodes
+     * @param {number} depth - Indentation depth in steps of four spaces
+     * @returns {string}
+     */
+    renderItems(nodes, depth) {
+        const indent = '    '.repeat(depth);
+
+        return nodes.map(node => {
+            // Nested links keep the sub-heading class the blog CSS styles
+            const linkClass = depth > 2 ? ' class="sub-heading"' : '';
+            const link = `<a href="#${node.entry.id}"${linkClass}>${this.getNumber(node, depth)}${node.entry.text}</a>`;
+            if (node.children.length === 0) {
+                return `${indent}<li>${link}</li>`;
+            }
+            return `${indent}<li>${link}
+${indent}    <ol>
+${this.renderItems(node.children, depth + 2)}
+${indent}    </ol>
+${indent}</li>`;
+        }).join('\n');
+    }
+
+    /**
+     * Number prefix for an entry, per the numbering option
+     * @param {Object} node
+     * @param {number} depth
+     * @returns {string}
+     */
+    getNumber(node, depth) {
+        if (this.numbering === 'outline' || (this.numbering === 'top' && depth === 2)) {
+            return `<span class="toc-number">${node.number}.</span> `;
+        }
+        return '';
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TOCBuilder;
+} else {
+    window.TOCBuilder = TOCBuilder;
+}
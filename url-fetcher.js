@@ -11,6 +11,7 @@ class URLDocumentFetcher {
             'raw.githubusercontent.com',
             'gist.github.com'
         ];
+        this.metadataBuilder = new MetadataBuilder();
     }
 
     /**
@@ -45,7 +46,7 @@ class URLDocumentFetcher {
                 url: url,
                 originalUrl: data.url,
                 content: content,
-                type: this.detectContentType(url, content),
+                type: data.format || this.detectContentType(url, content),
                 title: this.extractTitle(content),
                 fetchedAt: new Date().toISOString()
             };
@@ -164,8 +165,9 @@ class URLDocumentFetcher {
             return 'html';
         }
         
+        // Google Docs are exported as HTML
         if (urlLower.includes('docs.google.com')) {
-            return 'text';
+            return 'html';
         }
         
         // Detect by content
@@ -186,28 +188,8 @@ class URLDocumentFetcher {
      * @returns {string}
      */
     extractTitle(content) {
-        // Try to extract title from HTML
-        const htmlTitleMatch = content.match(/<title>(.*?)<\/title>/i);
-        if (htmlTitleMatch) {
-            return htmlTitleMatch[1].trim();
-        }
-        
-        // Try to extract first heading from markdown
-        const mdHeadingMatch = content.match(/^#\s+(.+)$/m);
-        if (mdHeadingMatch) {
-            return mdHeadingMatch[1].trim();
-        }
-        
-        // Try to extract first line if it looks like a title
-        const lines = content.split('\n').filter(line => line.trim());
-        if (lines.length > 0) {
-            const firstLine = lines[0].trim();
-            if (firstLine.length < 100 && firstLine.length > 10) {
-                return firstLine;
-            }
-        }
-        
-        return 'Untitled Document';
+        // Same rules as the post metadata (<title>, "# Title", a short first line)
+        return this.metadataBuilder.extractTitle(content) || 'Untitled Document';
     }
 
     /**
@@ -0,0 +1,128 @@
+/**
+ * ZIP Writer for Space-O Technologies Blog Format
+ * Bundles the downloaded HTML with its image assets. Entries are stored uncompressed:
+ * the images are compressed already and the HTML is small.
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file
+     * @param {string} name - Path inside the archive ("images/photo.png")
+     * @param {string|Uint8Array} data - Strings are written as UTF-8
+     */
+    add(name, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        this.entries.push({
+            name: new TextEncoder().encode(name),
+            data: bytes,
+            crc: ZipWriter.crc32(bytes)
+        });
+    }
+
+    /**
+     * Build the archive: local file headers with data, then the central directory
+     * @returns {Uint8Array}
+     */
+    build() {
+        const { time, date } = this.getDosDateTime(new Date());
+        const localSize = this.entries.reduce((size, entry) => size + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = this.entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+        const offsets = [];
+        let offset = 0;
+
+        // Version 2.0, UTF-8 names (flag bit 11), no compression
+        const writeCommon = (position, entry) => {
+            view.setUint16(position, 20, true);
+            view.setUint16(position + 2, 0x0800, true);
+            view.setUint16(position + 4, 0, true);
+            view.setUint16(position + 6, time, true);
+            view.setUint16(position + 8, date, true);
+            view.setUint32(position + 10, entry.crc, true);
+            view.setUint32(position + 14, entry.data.length, true);
+            view.setUint32(position + 18, entry.data.length, true);
+            view.setUint16(position + 22, entry.name.length, true);
+        };
+
+        this.entries.forEach(entry => {
+            offsets.push(offset);
+            view.setUint32(offset, 0x04034b50, true);
+            writeCommon(offset + 4, entry);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        this.entries.forEach((entry, index) => {
+            view.setUint32(offset, 0x02014b50, true);
+            view.setUint16(offset + 4, 20, true);
+            writeCommon(offset + 6, entry);
+            view.setUint32(offset + 42, offsets[index], true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        // End of central directory record
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, this.entries.length, true);
+        view.setUint16(offset + 10, this.entries.length, true);
+        view.setUint32(offset + 12, centralSize, true);
+        view.setUint32(offset + 16, localSize, true);
+
+        return bytes;
+    }
+
+    /**
+     * @returns {Blob}
+     */
+    toBlob() {
+        return new Blob([this.build()], { type: 'application/zip' });
+    }
+
+    /**
+     * MS-DOS time and date fields (local time, two-second resolution, years from 1980)
+     * @param {Date} now
+     * @returns {Object} { time, date }
+     */
+    getDosDateTime(now) {
+        return {
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+            date: ((Math.max(now.getFullYear(), 1980) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+    }
+
+    /**
+     * CRC-32 checksum of the entry data
+     * @param {Uint8Array} bytes
+     * @returns {number}
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256).map((value, index) => {
+                let crc = index;
+                for (let bit = 0; bit < 8; bit++) {
+                    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+                }
+                return crc;
+            });
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export for browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+} else {
+    window.ZipWriter = ZipWriter;
+}